@@ -1,8 +1,20 @@
+const DISCOVER_CHART_SIZE = 50;
+
 class PodcatcherApp {
     constructor() {
         this.currentPage = 'search-page';
         this.searchTimeout = null;
+        this.suggestions = [];
+        this.activeSuggestion = -1;
         this.currentPodcast = null;
+        this.currentEpisodes = [];
+        this.episodesLoading = null;
+        this.episodeCriteria = { ...DEFAULT_EPISODE_CRITERIA };
+        this.visibleEpisodes = [];
+        this.detailsEpisode = null;
+        this.historyEntries = [];
+        this.pendingBackup = null;
+        this.restorePlan = null;
 
         this.elements = {
             loading: document.getElementById('loading'),
@@ -11,6 +23,19 @@ class PodcatcherApp {
             searchInput: document.getElementById('search-input'),
             searchButton: document.getElementById('search-button'),
             searchResults: document.getElementById('search-results'),
+            searchSuggestions: document.getElementById('search-suggestions'),
+            searchOptions: document.getElementById('search-options'),
+            searchOptionsCount: document.getElementById('search-options-count'),
+            searchAttribute: document.getElementById('search-attribute'),
+            searchCountry: document.getElementById('search-country'),
+            resetSearchOptionsButton: document.getElementById('reset-search-options'),
+            discover: document.getElementById('discover'),
+            discoverTitle: document.getElementById('discover-title'),
+            discoverGenre: document.getElementById('discover-genre'),
+            discoverCountry: document.getElementById('discover-country'),
+            discoverResults: document.getElementById('discover-results'),
+            similarShows: document.getElementById('similar-shows'),
+            similarList: document.getElementById('similar-list'),
             podcastModal: document.getElementById('podcast-modal'),
             closeModal: document.getElementById('close-modal'),
             podcastTitle: document.getElementById('podcast-title'),
@@ -18,10 +43,85 @@ class PodcatcherApp {
             podcastArtist: document.getElementById('podcast-artist'),
             podcastDescription: document.getElementById('podcast-description'),
             episodesList: document.getElementById('episodes-list'),
+            episodesToolbar: document.getElementById('episodes-toolbar'),
+            episodesCount: document.getElementById('episodes-count'),
+            episodesFilters: document.getElementById('episodes-filters'),
+            episodeSearch: document.getElementById('episode-search'),
+            episodeYear: document.getElementById('episode-year'),
+            episodeSeason: document.getElementById('episode-season'),
+            episodeType: document.getElementById('episode-type'),
+            episodeGroupOption: document.getElementById('episode-group-option'),
+            markAllPlayedButton: document.getElementById('mark-all-played'),
+            downloadsList: document.getElementById('downloads-list'),
+            listeningStats: document.getElementById('listening-stats'),
+            historySearch: document.getElementById('history-search'),
+            historyList: document.getElementById('history-list'),
+            exportHistoryButton: document.getElementById('export-history'),
+            resetHistoryButton: document.getElementById('reset-history'),
+            storageUsage: document.getElementById('storage-usage'),
+            deleteAllDownloadsButton: document.getElementById('delete-all-downloads'),
+            importOpmlButton: document.getElementById('import-opml'),
+            exportOpmlButton: document.getElementById('export-opml'),
+            opmlFileInput: document.getElementById('opml-file'),
+            opmlReport: document.getElementById('opml-report'),
+            corsProxyForm: document.getElementById('cors-proxy-form'),
+            corsProxyInput: document.getElementById('cors-proxy'),
+            corsProxyStatus: document.getElementById('cors-proxy-status'),
+            feedPasswordsStatus: document.getElementById('feed-passwords-status'),
+            forgetFeedPasswordsButton: document.getElementById('forget-feed-passwords'),
+            subscribeButton: document.getElementById('subscribe-button'),
+            sharePodcastButton: document.getElementById('share-podcast'),
+            libraryList: document.getElementById('library-list'),
+            librarySegments: document.querySelectorAll('#library-page .segment'),
+            libraryViews: document.querySelectorAll('#library-page .library-view'),
+            inboxList: document.getElementById('inbox-list'),
+            inboxStatus: document.getElementById('inbox-status'),
+            dismissAllButton: document.getElementById('dismiss-all'),
+            refreshFeedsButton: document.getElementById('refresh-feeds'),
+            settingsRows: document.querySelectorAll('.settings-rows'),
+            cacheUsage: document.getElementById('cache-usage'),
+            cacheSummary: document.getElementById('cache-summary'),
+            cacheEntries: document.getElementById('cache-entries'),
+            cacheStatus: document.getElementById('cache-status'),
+            clearCacheButton: document.getElementById('clear-cache'),
+            exportBackupButton: document.getElementById('export-backup'),
+            importBackupButton: document.getElementById('import-backup'),
+            backupFileInput: document.getElementById('backup-file'),
+            backupPreview: document.getElementById('backup-preview'),
+            backupStatus: document.getElementById('backup-status'),
+            settingsStatus: document.getElementById('settings-status'),
+            resetSettingsButton: document.getElementById('reset-settings'),
+            appVersion: document.getElementById('app-version'),
+            showShortcutsButton: document.getElementById('show-shortcuts'),
+            shortcutsOverlay: document.getElementById('shortcuts-overlay'),
+            shortcutsList: document.getElementById('shortcuts-list'),
+            shortcutsStatus: document.getElementById('shortcuts-status'),
+            closeShortcutsButton: document.getElementById('close-shortcuts'),
+            resetShortcutsButton: document.getElementById('reset-shortcuts'),
+            episodeModal: document.getElementById('episode-modal'),
+            closeEpisodeModalButton: document.getElementById('close-episode-modal'),
+            episodeDetailsTitle: document.getElementById('episode-details-title'),
+            episodeDetailsPodcast: document.getElementById('episode-details-podcast'),
+            episodeDetailsMeta: document.getElementById('episode-details-meta'),
+            episodeDetailsPlayButton: document.getElementById('episode-details-play'),
+            episodeDetailsShareButton: document.getElementById('episode-details-share'),
+            episodeNotes: document.getElementById('episode-notes'),
+            showNotesButton: document.getElementById('show-notes-button'),
+            shareEpisodeButton: document.getElementById('share-episode-button'),
             navTabs: document.querySelectorAll('.nav-tab'),
             pages: document.querySelectorAll('.page')
         };
 
+        // Rows are group headings or episodes; only those near the viewport are in the DOM
+        this.episodeList = new VirtualList(this.elements.episodesList, {
+            scrollContainer: this.elements.podcastModal.querySelector('.modal-body'),
+            getKey: row => (row.episode ? row.episode.guid : `heading:${row.heading}`),
+            estimateHeight: row => (row.episode ? 150 : 44),
+            renderItem: row => (row.episode
+                ? this.createEpisodeItem(row.episode, row.index)
+                : `<h3 class="episode-group-heading">${escapeHtml(row.heading)}</h3>`)
+        });
+
         this.init();
     }
 
@@ -31,11 +131,28 @@ class PodcatcherApp {
             this.setupEventListeners();
             this.setupNavigation();
             this.hideLoading();
+            this.loadDiscover();
+
+            router.onChange(route => this.applyRoute(route));
+            this.applyRoute(router.getCurrent());
+
+            await subscriptionManager.ready;
+            this.renderLibrary();
+            this.renderInbox();
+
+            await downloadManager.ready;
+            this.renderDownloads();
+
+            await listeningHistory.ready;
+            this.renderListeningHistory();
+
+            feedRefresher.start();
 
             announceToScreenReader('Podcatcher app loaded successfully');
         } catch (error) {
             console.error('App initialization error:', error);
             this.hideLoading();
+            this.showSearchResults();
             showError('Failed to initialize app', this.elements.searchResults);
         }
     }
@@ -54,12 +171,44 @@ class PodcatcherApp {
     setupEventListeners() {
         this.elements.searchInput.addEventListener('input', (e) => {
             this.handleSearchInput(e.target.value);
+            this.showSuggestions();
+        });
+
+        this.elements.searchInput.addEventListener('focus', () => {
+            this.showSuggestions();
+        });
+
+        this.elements.searchInput.addEventListener('blur', () => {
+            this.hideSuggestions();
         });
 
         this.elements.searchInput.addEventListener('keydown', (e) => {
-            if (e.key === 'Enter') {
-                e.preventDefault();
-                this.performSearch(e.target.value);
+            this.handleSearchKeydown(e);
+        });
+
+        // Keep focus in the input so clicking a suggestion doesn't close the list first
+        this.elements.searchSuggestions.addEventListener('mousedown', (e) => {
+            e.preventDefault();
+        });
+
+        this.elements.searchSuggestions.addEventListener('click', (e) => {
+            const removeButton = e.target.closest('[data-remove]');
+            if (removeButton) {
+                searchHistory.remove(removeButton.dataset.remove);
+                this.showSuggestions();
+                return;
+            }
+
+            if (e.target.closest('#clear-search-history')) {
+                searchHistory.clear();
+                this.hideSuggestions();
+                announceToScreenReader('Search history cleared');
+                return;
+            }
+
+            const option = e.target.closest('[role="option"]');
+            if (option) {
+                this.selectSuggestion(Number(option.dataset.index));
             }
         });
 
@@ -71,16 +220,351 @@ class PodcatcherApp {
             this.closeModal();
         });
 
+        this.elements.subscribeButton.addEventListener('click', () => {
+            this.toggleSubscription();
+        });
+
+        this.elements.sharePodcastButton.addEventListener('click', () => {
+            this.sharePodcast(this.currentPodcast, this.elements.sharePodcastButton);
+        });
+
+        subscriptionManager.onChange(() => {
+            this.renderLibrary();
+            this.updateSubscribeButton();
+        });
+
+        feedRefresher.onChange(() => {
+            this.renderInbox();
+        });
+
+        episodeStateStore.onChange(podcastId => {
+            if (podcastId && this.currentPodcast && podcastId !== getPodcastKey(this.currentPodcast)) return;
+            this.refreshEpisodeRows();
+        });
+
+        downloadManager.onChange((type, record) => {
+            if (type === 'progress') {
+                this.updateDownloadProgress(record);
+            } else {
+                this.onDownloadsChanged();
+            }
+        });
+
+        this.elements.deleteAllDownloadsButton.addEventListener('click', () => {
+            if (confirm('Delete all downloaded episodes?')) {
+                downloadManager.removeAll();
+            }
+        });
+
+        this.elements.importOpmlButton.addEventListener('click', () => {
+            this.elements.opmlFileInput.click();
+        });
+
+        this.elements.opmlFileInput.addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            e.target.value = '';
+            if (file) {
+                this.importSubscriptions(file);
+            }
+        });
+
+        this.elements.exportOpmlButton.addEventListener('click', () => {
+            const count = exportOPML();
+            announceToScreenReader(`Exported ${count} podcasts`);
+        });
+
+        this.elements.exportBackupButton.addEventListener('click', () => {
+            this.exportBackup();
+        });
+
+        this.elements.importBackupButton.addEventListener('click', () => {
+            this.elements.backupFileInput.click();
+        });
+
+        this.elements.backupFileInput.addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            e.target.value = '';
+            if (file) {
+                this.previewBackup(file);
+            }
+        });
+
+        this.elements.backupPreview.addEventListener('change', (e) => {
+            if (e.target.name === 'restore-mode') {
+                this.renderBackupPreview(e.target.value);
+            }
+        });
+
+        this.elements.backupPreview.addEventListener('click', (e) => {
+            const action = e.target.closest('[data-action]');
+            if (!action) return;
+
+            if (action.dataset.action === 'restore-backup') {
+                this.restoreBackup();
+            } else if (action.dataset.action === 'cancel-restore') {
+                this.pendingBackup = null;
+                this.restorePlan = null;
+                this.elements.backupPreview.classList.add('hidden');
+                this.elements.backupStatus.textContent = '';
+            }
+        });
+
+        this.elements.corsProxyInput.value = podcastAPI.corsProxy;
+        this.elements.corsProxyForm.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.saveCorsProxy();
+        });
+
+        this.elements.forgetFeedPasswordsButton.addEventListener('click', () => {
+            this.forgetAllFeedPasswords();
+        });
+
+        this.elements.episodeSearch.addEventListener('input', debounce(() => {
+            this.updateEpisodeCriteria('query', this.elements.episodeSearch.value);
+        }, 200));
+
+        this.elements.episodesFilters.addEventListener('change', (e) => {
+            const key = e.target.dataset.criteria;
+            if (!key) return;
+
+            const value = e.target.type === 'checkbox' ? e.target.checked : e.target.value;
+            this.updateEpisodeCriteria(key, key.endsWith('Duration') ? parseInt(value, 10) : value);
+        });
+
+        this.elements.episodesList.addEventListener('click', (e) => {
+            const item = e.target.closest('.episode-item[data-index]');
+            if (!item || !this.currentPodcast) return;
+
+            const podcast = this.currentPodcast;
+            const episode = this.visibleEpisodes[Number(item.dataset.index)];
+            if (!episode) return;
+
+            if (e.target.closest('[data-action="mark-older"]')) {
+                episodeStateStore.markOlderPlayed(this.currentEpisodes, episode, getPodcastKey(podcast));
+                announceToScreenReader('Marked older episodes as played');
+                return;
+            }
+
+            if (this.handleEpisodeAction(e, episode, podcast)) return;
+            this.playEpisode(episode, podcast);
+        });
+
+        this.elements.markAllPlayedButton.addEventListener('click', () => {
+            this.markAllPlayed();
+        });
+
+        this.elements.librarySegments.forEach(segment => {
+            segment.addEventListener('click', () => {
+                this.switchLibraryView(segment.dataset.view);
+            });
+        });
+
+        this.elements.refreshFeedsButton.addEventListener('click', () => {
+            this.refreshFeeds();
+        });
+
+        this.elements.dismissAllButton.addEventListener('click', () => {
+            feedRefresher.dismissAll();
+        });
+
+        this.setupDiscover();
+        this.setupSearchOptions();
+
+        this.elements.appVersion.textContent = `Version ${APP_VERSION}`;
+        this.renderSettings();
+
+        this.elements.settingsRows.forEach(container => {
+            container.addEventListener('change', (e) => {
+                if (e.target.dataset.setting) {
+                    this.updateSetting(e.target.dataset.setting, e.target.value);
+                }
+            });
+        });
+
+        this.elements.resetSettingsButton.addEventListener('click', () => {
+            if (confirm('Restore all settings to their defaults?')) {
+                settings.reset();
+                this.elements.settingsStatus.textContent = 'Settings restored to defaults';
+                announceToScreenReader(this.elements.settingsStatus.textContent);
+            }
+        });
+
+        this.elements.clearCacheButton.addEventListener('click', () => {
+            this.clearCache();
+        });
+
+        [this.elements.cacheSummary, this.elements.cacheEntries].forEach(container => {
+            container.addEventListener('click', (e) => {
+                const button = e.target.closest('button');
+                if (!button) return;
+
+                if (button.dataset.clearKind) {
+                    this.clearCache(button.dataset.clearKind);
+                } else if (button.dataset.removeKey) {
+                    cacheStore.delete(button.dataset.removeKey);
+                    announceToScreenReader('Removed from cache');
+                }
+            });
+        });
+
+        cacheStore.onChange(() => {
+            if (this.currentPage === 'settings-page') {
+                this.renderStorage();
+            }
+        });
+
+        listeningHistory.onChange(() => {
+            this.renderListeningHistory();
+        });
+
+        this.elements.historySearch.addEventListener('input', debounce(() => {
+            this.renderHistoryList();
+        }, 200));
+
+        this.elements.historyList.addEventListener('click', (e) => {
+            const item = e.target.closest('.episode-item[data-index]');
+            if (item) {
+                const entry = this.historyEntries[Number(item.dataset.index)];
+                this.playEpisode(entry.episode, entry.podcast);
+            }
+        });
+
+        this.elements.historyList.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter' && e.target.matches('.episode-item')) {
+                e.target.click();
+            }
+        });
+
+        this.elements.exportHistoryButton.addEventListener('click', () => {
+            const count = listeningHistory.export();
+            announceToScreenReader(`Exported ${count} listening sessions`);
+        });
+
+        this.elements.resetHistoryButton.addEventListener('click', async () => {
+            if (confirm('Delete your listening history and stats? This cannot be undone.')) {
+                await listeningHistory.reset();
+                announceToScreenReader('Listening history deleted');
+            }
+        });
+
+        settings.onChange((key) => {
+            this.syncSetting(key);
+
+            if (key === 'corsProxy') {
+                this.elements.corsProxyInput.value = podcastAPI.corsProxy;
+            } else if (key === 'chartsCountry') {
+                this.elements.discoverCountry.value = settings.get('chartsCountry');
+                this.loadDiscover();
+            } else if (key === 'downloadQuotaMB') {
+                this.renderDownloads();
+            }
+        });
+
+        this.elements.showShortcutsButton.addEventListener('click', () => {
+            this.openShortcuts();
+        });
+
+        this.elements.closeShortcutsButton.addEventListener('click', () => {
+            this.closeShortcuts();
+        });
+
+        this.elements.resetShortcutsButton.addEventListener('click', () => {
+            keyboardShortcuts.reset();
+            this.elements.shortcutsStatus.textContent = 'Shortcuts reset to defaults';
+        });
+
+        this.elements.shortcutsOverlay.addEventListener('click', (e) => {
+            if (e.target === this.elements.shortcutsOverlay) {
+                this.closeShortcuts();
+            }
+        });
+
+        this.elements.shortcutsList.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-action="remap"]');
+            if (button) {
+                this.startShortcutCapture(button.dataset.id);
+            }
+        });
+
+        keyboardShortcuts.onChange(() => {
+            this.renderShortcuts();
+        });
+
+        // Capture phase, so a key being assigned never also triggers its current action
+        document.addEventListener('keydown', (e) => {
+            if (keyboardShortcuts.capturing) {
+                this.captureShortcut(e);
+            }
+        }, true);
+
+        document.addEventListener('episodeended', (e) => {
+            this.onEpisodeEnded(e.detail);
+        });
+
         this.elements.podcastModal.addEventListener('click', (e) => {
             if (e.target === this.elements.podcastModal) {
                 this.closeModal();
             }
         });
 
+        this.elements.closeEpisodeModalButton.addEventListener('click', () => {
+            this.closeEpisodeDetails();
+        });
+
+        this.elements.episodeModal.addEventListener('click', (e) => {
+            if (e.target === this.elements.episodeModal) {
+                this.closeEpisodeDetails();
+            }
+        });
+
+        this.elements.episodeDetailsPlayButton.addEventListener('click', () => {
+            const { episode, podcast, time } = this.detailsEpisode;
+            if (time > 0) {
+                this.playEpisodeAt(episode, podcast, time);
+            } else {
+                this.playEpisode(episode, podcast);
+            }
+        });
+
+        this.elements.episodeDetailsShareButton.addEventListener('click', () => {
+            const { episode, podcast } = this.detailsEpisode;
+            this.shareEpisode(episode, podcast, this.elements.episodeDetailsShareButton);
+        });
+
+        this.elements.episodeNotes.addEventListener('click', (e) => {
+            const timestamp = e.target.closest('.timestamp-link');
+            if (timestamp) {
+                const { episode, podcast } = this.detailsEpisode;
+                this.playEpisodeAt(episode, podcast, Number(timestamp.dataset.seek));
+            }
+        });
+
+        this.elements.showNotesButton.addEventListener('click', () => {
+            const episode = audioPlayer.getCurrentEpisode();
+            if (episode) {
+                this.openEpisodeDetails(episode, audioPlayer.getCurrentPodcast());
+            }
+        });
+
+        this.elements.shareEpisodeButton.addEventListener('click', () => {
+            const episode = audioPlayer.getCurrentEpisode();
+            if (episode) {
+                this.shareEpisode(episode, audioPlayer.getCurrentPodcast(), this.elements.shareEpisodeButton);
+            }
+        });
+
         document.addEventListener('keydown', (e) => {
             if (e.key === 'Escape') {
-                this.closeModal();
+                if (!this.elements.shortcutsOverlay.classList.contains('hidden')) {
+                    this.closeShortcuts();
+                } else if (!this.elements.episodeModal.classList.contains('hidden')) {
+                    this.closeEpisodeDetails();
+                } else {
+                    this.closeModal();
+                }
+                return;
             }
+            this.handleGlobalShortcut(e);
         });
 
         window.addEventListener('beforeunload', () => {
@@ -116,6 +600,14 @@ class PodcatcherApp {
             targetTab.classList.add('active');
             this.currentPage = pageId;
 
+            if (pageId === 'library-page') {
+                subscriptionManager.refreshUnplayedCounts();
+                this.renderListeningHistory();
+            } else if (pageId === 'settings-page') {
+                this.renderStorage();
+                this.renderFeedPasswords();
+            }
+
             announceToScreenReader(`Navigated to ${targetTab.querySelector('span').textContent}`);
         }
     }
@@ -128,12 +620,24 @@ class PodcatcherApp {
             return;
         }
 
+        // Don't fetch half-typed feed URLs; wait for Enter or the search button
+        if (normalizeFeedUrl(query)) {
+            this.showSearchResults();
+            this.elements.searchResults.innerHTML = `
+                <div class="empty-state">
+                    <p>Press Enter to load this feed</p>
+                </div>
+            `;
+            return;
+        }
+
+        // Searches run while typing don't go into the history; half-typed queries would crowd it
         this.searchTimeout = setTimeout(() => {
-            this.performSearch(query);
+            this.performSearch(query, false);
         }, 500);
     }
 
-    async performSearch(query) {
+    async performSearch(query, addToHistory = true) {
         const trimmedQuery = query.trim();
 
         if (trimmedQuery.length === 0) {
@@ -141,20 +645,236 @@ class PodcatcherApp {
             return;
         }
 
+        const feedUrl = normalizeFeedUrl(trimmedQuery);
+        if (feedUrl) {
+            clearTimeout(this.searchTimeout);
+            await this.loadFeedByUrl(feedUrl);
+            return;
+        }
+
+        this.showSearchResults();
         showLoading(this.elements.searchResults, 'Searching podcasts...');
 
+        if (['home', 'search'].includes(router.getCurrent().name)) {
+            router.replace({ name: 'search', query: trimmedQuery });
+        }
+
+        const options = searchHistory.getOptions();
+
         try {
-            const podcasts = await podcastAPI.searchPodcasts(trimmedQuery);
-            this.displaySearchResults(podcasts);
+            const results = await podcastAPI.searchPodcasts(trimmedQuery, undefined, options);
+            if (addToHistory) {
+                searchHistory.add(trimmedQuery, results);
+            }
+
+            const podcasts = applySearchOptions(results, options);
+            if (podcasts.length === 0 && results.length > 0) {
+                this.elements.searchResults.innerHTML = `
+                    <div class="empty-state">
+                        <p>No podcasts match your search options.</p>
+                    </div>
+                `;
+            } else {
+                this.displaySearchResults(podcasts);
+            }
 
             announceToScreenReader(`Found ${podcasts.length} podcasts for "${trimmedQuery}"`);
         } catch (error) {
             console.error('Search error:', error);
-            showError(extractErrorMessage(error), this.elements.searchResults);
+            showError(escapeHtml(extractErrorMessage(error)), this.elements.searchResults);
             announceToScreenReader('Search failed');
         }
     }
 
+    handleSearchKeydown(event) {
+        const open = !this.elements.searchSuggestions.classList.contains('hidden');
+
+        switch (event.key) {
+            case 'ArrowDown':
+            case 'ArrowUp':
+                event.preventDefault();
+                if (!open) {
+                    this.showSuggestions();
+                    return;
+                }
+                if (this.suggestions.length > 0) {
+                    const step = event.key === 'ArrowDown' ? 1 : -1;
+                    const count = this.suggestions.length;
+                    // Wraps through -1, which puts the caret back in the input
+                    this.setActiveSuggestion((this.activeSuggestion + 1 + step + count + 1) % (count + 1) - 1);
+                }
+                break;
+            case 'Enter':
+                event.preventDefault();
+                if (open && this.activeSuggestion >= 0) {
+                    this.selectSuggestion(this.activeSuggestion);
+                } else {
+                    this.hideSuggestions();
+                    this.performSearch(event.target.value);
+                }
+                break;
+            case 'Escape':
+                // Only close the list; the modal-closing Escape handler shouldn't see it
+                if (open) {
+                    event.stopPropagation();
+                    this.hideSuggestions();
+                }
+                break;
+        }
+    }
+
+    showSuggestions() {
+        const text = this.elements.searchInput.value;
+        this.suggestions = normalizeFeedUrl(text) ? [] : searchHistory.getSuggestions(text);
+        this.activeSuggestion = -1;
+
+        const showClear = text.trim().length === 0 && this.suggestions.length > 0;
+        if (this.suggestions.length === 0) {
+            this.hideSuggestions();
+            return;
+        }
+
+        this.elements.searchSuggestions.innerHTML = this.suggestions.map((suggestion, index) => `
+            <li id="search-suggestion-${index}" class="search-suggestion" role="option" aria-selected="false" data-index="${index}">
+                <svg class="suggestion-icon" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" aria-hidden="true">
+                    ${suggestion.type === 'history'
+                        ? '<circle cx="12" cy="12" r="9"></circle><path d="M12 7v5l3 3"></path>'
+                        : '<circle cx="11" cy="11" r="8"></circle><path d="m21 21-4.35-4.35"></path>'}
+                </svg>
+                <span class="suggestion-text">${escapeHtml(suggestion.text)}</span>
+                ${suggestion.type === 'history' ? `
+                    <button class="suggestion-remove" data-remove="${escapeHtml(suggestion.text)}" tabindex="-1" aria-label="Remove ${escapeHtml(suggestion.text)} from search history">&times;</button>
+                ` : ''}
+            </li>
+        `).join('') + (showClear ? `
+            <li class="search-suggestions-footer" role="presentation">
+                <button id="clear-search-history" class="text-button" tabindex="-1">Clear search history</button>
+            </li>
+        ` : '');
+
+        this.elements.searchSuggestions.classList.remove('hidden');
+        this.elements.searchInput.setAttribute('aria-expanded', 'true');
+        this.elements.searchInput.removeAttribute('aria-activedescendant');
+    }
+
+    hideSuggestions() {
+        this.suggestions = [];
+        this.activeSuggestion = -1;
+        this.elements.searchSuggestions.classList.add('hidden');
+        this.elements.searchSuggestions.innerHTML = '';
+        this.elements.searchInput.setAttribute('aria-expanded', 'false');
+        this.elements.searchInput.removeAttribute('aria-activedescendant');
+    }
+
+    // -1 leaves the list open with nothing highlighted
+    setActiveSuggestion(index) {
+        this.activeSuggestion = index;
+
+        this.elements.searchSuggestions.querySelectorAll('[role="option"]').forEach(option => {
+            const active = Number(option.dataset.index) === index;
+            option.classList.toggle('active', active);
+            option.setAttribute('aria-selected', String(active));
+            if (active) {
+                option.scrollIntoView({ block: 'nearest' });
+            }
+        });
+
+        if (index >= 0) {
+            this.elements.searchInput.setAttribute('aria-activedescendant', `search-suggestion-${index}`);
+        } else {
+            this.elements.searchInput.removeAttribute('aria-activedescendant');
+        }
+    }
+
+    selectSuggestion(index) {
+        const suggestion = this.suggestions[index];
+        if (!suggestion) return;
+
+        this.elements.searchInput.value = suggestion.text;
+        this.hideSuggestions();
+        clearTimeout(this.searchTimeout);
+        this.performSearch(suggestion.text);
+    }
+
+    setupSearchOptions() {
+        this.elements.searchAttribute.innerHTML = Object.entries(SEARCH_ATTRIBUTES)
+            .map(([value, label]) => `<option value="${value}">${escapeHtml(label)}</option>`)
+            .join('');
+
+        this.elements.searchCountry.innerHTML += CHART_COUNTRIES
+            .map(country => `<option value="${country}">${escapeHtml(formatCountry(country))}</option>`)
+            .join('');
+
+        this.syncSearchOptions();
+
+        this.elements.searchOptions.addEventListener('change', (e) => {
+            const key = e.target.dataset.option;
+            if (!key) return;
+
+            let value = e.target.value;
+            if (e.target.type === 'checkbox') {
+                value = e.target.checked;
+            } else if (typeof DEFAULT_SEARCH_OPTIONS[key] === 'number') {
+                value = Number(value);
+            }
+
+            searchHistory.setOption(key, value);
+            this.onSearchOptionsChanged();
+        });
+
+        this.elements.resetSearchOptionsButton.addEventListener('click', () => {
+            searchHistory.resetOptions();
+            this.syncSearchOptions();
+            this.onSearchOptionsChanged();
+            announceToScreenReader('Search options reset');
+        });
+    }
+
+    syncSearchOptions() {
+        const options = searchHistory.getOptions();
+
+        this.elements.searchOptions.querySelectorAll('[data-option]').forEach(control => {
+            const value = options[control.dataset.option];
+            if (control.type === 'checkbox') {
+                control.checked = Boolean(value);
+            } else {
+                control.value = String(value);
+            }
+        });
+
+        const active = countActiveSearchOptions(options);
+        this.elements.searchOptionsCount.textContent = active;
+        this.elements.searchOptionsCount.classList.toggle('hidden', active === 0);
+    }
+
+    onSearchOptionsChanged() {
+        this.syncSearchOptions();
+
+        const query = this.elements.searchInput.value.trim();
+        if (query && !normalizeFeedUrl(query)) {
+            clearTimeout(this.searchTimeout);
+            this.performSearch(query);
+        }
+    }
+
+    async loadFeedByUrl(feedUrl) {
+        this.showSearchResults();
+        showLoading(this.elements.searchResults, 'Loading feed...');
+
+        try {
+            const podcast = await podcastAPI.getPodcastFromFeed(feedUrl);
+            this.displaySearchResults([podcast]);
+            this.openPodcastModal(podcast);
+
+            announceToScreenReader(`Loaded feed for ${podcast.name}`);
+        } catch (error) {
+            console.error('Feed URL error:', error);
+            this.forgetFeedPassword(podcastAPI.registerFeedUrl(feedUrl));
+            showError(escapeHtml(extractErrorMessage(error)), this.elements.searchResults);
+            announceToScreenReader('Failed to load feed');
+        }
+    }
+
     displaySearchResults(podcasts) {
         if (podcasts.length === 0) {
             this.elements.searchResults.innerHTML = `
@@ -165,38 +885,120 @@ class PodcatcherApp {
             return;
         }
 
-        const resultsHTML = podcasts.map(podcast => this.createPodcastCard(podcast)).join('');
-        this.elements.searchResults.innerHTML = resultsHTML;
+        this.renderPodcastCards(this.elements.searchResults, podcasts);
+    }
+
+    renderPodcastCards(container, podcasts) {
+        container.innerHTML = podcasts.map(podcast => this.createPodcastCard(podcast)).join('');
 
-        this.elements.searchResults.querySelectorAll('.podcast-card').forEach((card, index) => {
+        container.querySelectorAll('.podcast-card').forEach((card, index) => {
             card.addEventListener('click', () => {
                 this.openPodcastModal(podcasts[index]);
             });
         });
     }
 
+    // The search results replace the Discover charts while a query is entered
+    showSearchResults() {
+        this.elements.discover.classList.add('hidden');
+        this.elements.searchResults.classList.remove('hidden');
+    }
+
+    setupDiscover() {
+        this.elements.discoverGenre.innerHTML += PODCAST_GENRES
+            .map(genre => `<option value="${genre.id}">${escapeHtml(genre.name)}</option>`)
+            .join('');
+
+        this.elements.discoverCountry.innerHTML = CHART_COUNTRIES
+            .map(country => `<option value="${country}">${escapeHtml(formatCountry(country))}</option>`)
+            .join('');
+        this.elements.discoverCountry.value = settings.get('chartsCountry');
+
+        this.elements.discoverGenre.addEventListener('change', () => {
+            this.loadDiscover();
+        });
+
+        this.elements.discoverCountry.addEventListener('change', () => {
+            settings.set('chartsCountry', this.elements.discoverCountry.value);
+        });
+    }
+
+    async loadDiscover() {
+        const genre = this.elements.discoverGenre.value;
+        const country = settings.get('chartsCountry');
+        const request = Symbol('discover');
+        this.discoverRequest = request;
+
+        const genreName = podcastAPI.getGenreName(genre);
+        this.elements.discoverTitle.textContent = genreName ? `Top ${genreName} Podcasts` : 'Top Podcasts';
+        showLoading(this.elements.discoverResults, 'Loading top podcasts...');
+
+        try {
+            const podcasts = await podcastAPI.getPopularPodcasts(genre, DISCOVER_CHART_SIZE, country);
+            if (this.discoverRequest !== request) return;
+
+            if (podcasts.length === 0) {
+                this.elements.discoverResults.innerHTML = `
+                    <div class="empty-state">
+                        <p>No chart available for this genre and region</p>
+                    </div>
+                `;
+                return;
+            }
+
+            this.renderPodcastCards(this.elements.discoverResults, podcasts);
+        } catch (error) {
+            if (this.discoverRequest !== request) return;
+
+            console.error('Discover error:', error);
+            showError(escapeHtml(extractErrorMessage(error)), this.elements.discoverResults);
+        }
+    }
+
+    async loadSimilarPodcasts(podcast) {
+        this.elements.similarShows.classList.add('hidden');
+        this.elements.similarList.innerHTML = '';
+
+        try {
+            const similar = await podcastAPI.getSimilarPodcasts(podcast);
+            if (this.currentPodcast !== podcast || similar.length === 0) return;
+
+            this.renderPodcastCards(this.elements.similarList, similar);
+            this.elements.similarShows.classList.remove('hidden');
+        } catch (error) {
+            console.error('Similar podcasts error:', error);
+        }
+    }
+
     createPodcastCard(podcast) {
         const artwork = podcast.artwork || 'icon.svg';
-        const description = truncateText(podcast.description, 100);
+        const name = escapeHtml(podcast.name);
 
         return `
-            <div class="podcast-card" role="button" tabindex="0" aria-label="View ${podcast.name} podcast details">
+            <div class="podcast-card" role="button" tabindex="0" aria-label="View ${name} podcast details">
                 <div class="podcast-card-content">
-                    <img src="${artwork}" alt="${podcast.name} artwork" class="podcast-thumbnail" loading="lazy">
+                    <img src="${escapeHtml(artwork)}" alt="${name} artwork" class="podcast-thumbnail" loading="lazy">
                     <div class="podcast-info">
-                        <h3 class="podcast-name">${podcast.name}</h3>
-                        <p class="podcast-artist">${podcast.artistName}</p>
-                        <p class="podcast-genre">${podcast.primaryGenreName}</p>
+                        <h3 class="podcast-name">${name}</h3>
+                        <p class="podcast-artist">${escapeHtml(podcast.artistName)}</p>
+                        <p class="podcast-genre">${escapeHtml(podcast.primaryGenreName)}</p>
                     </div>
                 </div>
             </div>
         `;
     }
 
-    async openPodcastModal(podcast) {
+    async openPodcastModal(podcast, { updateRoute = true } = {}) {
+        if (this.currentPodcast && this.currentPodcast.feedUrl !== podcast.feedUrl) {
+            this.forgetFeedPassword(this.currentPodcast.feedUrl);
+        }
         this.currentPodcast = podcast;
 
-        this.elements.podcastTitle.textContent = podcast.name;
+        if (updateRoute && getPodcastKey(podcast)) {
+            router.push({ name: 'podcast', podcastId: getPodcastKey(podcast) });
+        }
+
+        this.elements.podcastTitle.textContent = podcast.name;
         this.elements.podcastArtist.textContent = podcast.artistName;
         this.elements.podcastDescription.textContent = podcast.description || 'No description available.';
 
@@ -209,15 +1011,25 @@ class PodcatcherApp {
             this.elements.podcastArtwork.alt = 'Default podcast artwork';
         }
 
+        this.updateSubscribeButton();
+
         this.elements.podcastModal.classList.remove('hidden');
+        this.episodeList.scrollContainer.scrollTop = 0;
         this.elements.closeModal.focus();
 
-        this.loadPodcastEpisodes(podcast);
+        this.episodesLoading = this.loadPodcastEpisodes(podcast);
+        this.loadSimilarPodcasts(podcast);
 
         announceToScreenReader(`Opened ${podcast.name} details`);
     }
 
     async loadPodcastEpisodes(podcast) {
+        this.currentEpisodes = [];
+        this.visibleEpisodes = [];
+        this.episodeList.reset();
+        this.elements.episodesToolbar.classList.add('hidden');
+        this.elements.episodesFilters.classList.add('hidden');
+
         if (!podcast.feedUrl) {
             this.elements.episodesList.innerHTML = `
                 <div class="error-message">
@@ -231,19 +1043,31 @@ class PodcatcherApp {
 
         try {
             const episodes = await podcastAPI.getPodcastEpisodes(podcast.feedUrl);
-            this.displayEpisodes(episodes, podcast.name);
+            const showType = podcast.showType || await podcastAPI.getShowType(podcast.feedUrl);
+            await episodeStateStore.ready;
+
+            // The user may have closed or switched podcasts while the feed loaded
+            if (this.currentPodcast !== podcast) return;
+
+            this.currentEpisodes = episodes;
+            this.setupEpisodeFilters(episodes, showType);
+            this.displayEpisodes(episodes);
+
+            if (subscriptionManager.isSubscribed(podcast)) {
+                subscriptionManager.updateUnplayedCount(getPodcastKey(podcast), episodes.map(episode => episode.guid));
+            }
 
             announceToScreenReader(`Loaded ${episodes.length} episodes`);
         } catch (error) {
             console.error('Episodes loading error:', error);
 
             const errorMessage = error.message.includes('CORS')
-                ? 'Episodes cannot be loaded due to technical restrictions. Try visiting the podcast website directly.'
+                ? 'Episodes cannot be loaded due to technical restrictions. Set a CORS proxy in Settings or try visiting the podcast website directly.'
                 : extractErrorMessage(error);
 
             this.elements.episodesList.innerHTML = `
                 <div class="error-message">
-                    <p>${errorMessage}</p>
+                    <p>${escapeHtml(errorMessage)}</p>
                 </div>
             `;
 
@@ -251,7 +1075,58 @@ class PodcatcherApp {
         }
     }
 
-    displayEpisodes(episodes, podcastName) {
+    setupEpisodeFilters(episodes, showType) {
+        const facets = getEpisodeFacets(episodes);
+
+        this.episodeCriteria = {
+            ...DEFAULT_EPISODE_CRITERIA,
+            sort: getDefaultEpisodeSort(showType)
+        };
+
+        this.elements.episodeYear.innerHTML = '<option value="">All years</option>' +
+            facets.years.map(year => `<option value="${year}">${year}</option>`).join('');
+
+        this.elements.episodeSeason.innerHTML = '<option value="">All seasons</option>' +
+            facets.seasons.map(season => `
+                <option value="${season.number}">Season ${season.number}${season.name ? `: ${escapeHtml(season.name)}` : ''}</option>
+            `).join('');
+
+        const typeLabels = { full: 'Full episodes', trailer: 'Trailers', bonus: 'Bonus' };
+        this.elements.episodeType.innerHTML = '<option value="">All types</option>' +
+            facets.types.map(type => `<option value="${escapeHtml(type)}">${escapeHtml(typeLabels[type] || type)}</option>`).join('');
+
+        this.elements.episodeSeason.classList.toggle('hidden', facets.seasons.length === 0);
+        this.elements.episodeGroupOption.classList.toggle('hidden', facets.seasons.length === 0);
+        this.elements.episodeType.classList.toggle('hidden', facets.types.length < 2);
+        this.elements.episodesFilters.classList.toggle('hidden', episodes.length < 2);
+
+        this.elements.episodesFilters.querySelectorAll('[data-criteria]').forEach(control => {
+            const value = this.episodeCriteria[control.dataset.criteria];
+            if (control.type === 'checkbox') {
+                control.checked = value;
+            } else {
+                control.value = String(value);
+            }
+        });
+        this.elements.episodeSearch.value = '';
+    }
+
+    updateEpisodeCriteria(key, value) {
+        this.episodeCriteria = { ...this.episodeCriteria, [key]: value };
+
+        if (this.currentPodcast && this.currentEpisodes.length > 0) {
+            this.displayEpisodes(this.currentEpisodes);
+        }
+    }
+
+    displayEpisodes(episodes) {
+        const groups = applyEpisodeCriteria(episodes, this.episodeCriteria);
+        const visible = groups.reduce((all, group) => all.concat(group.episodes), []);
+        this.visibleEpisodes = visible;
+
+        this.elements.episodesToolbar.classList.toggle('hidden', episodes.length === 0);
+        this.updateEpisodesCount(episodes, visible);
+
         if (episodes.length === 0) {
             this.elements.episodesList.innerHTML = `
                 <div class="empty-state">
@@ -261,34 +1136,188 @@ class PodcatcherApp {
             return;
         }
 
-        const episodesHTML = episodes.map(episode => this.createEpisodeItem(episode)).join('');
-        this.elements.episodesList.innerHTML = episodesHTML;
+        if (visible.length === 0) {
+            this.elements.episodesList.innerHTML = `
+                <div class="empty-state">
+                    <p>No episodes match these filters</p>
+                </div>
+            `;
+            return;
+        }
 
-        this.elements.episodesList.querySelectorAll('.episode-item').forEach((item, index) => {
-            item.addEventListener('click', () => {
-                this.playEpisode(episodes[index], podcastName);
+        const rows = [];
+        let index = 0;
+        groups.forEach(group => {
+            if (group.label) {
+                rows.push({ heading: group.label });
+            }
+            group.episodes.forEach(episode => {
+                rows.push({ episode, index: index++ });
             });
         });
+        this.episodeList.setItems(rows);
+    }
+
+    updateEpisodesCount(episodes, visible) {
+        const unplayed = episodes.filter(episode => !episodeStateStore.isPlayed(episode.guid)).length;
+
+        this.elements.episodesCount.textContent = visible.length === episodes.length
+            ? `${episodes.length} episodes, ${unplayed} unplayed`
+            : `Showing ${visible.length} of ${episodes.length} episodes`;
+        this.elements.markAllPlayedButton.disabled = unplayed === 0;
+    }
+
+    // Played and download state don't affect the filters, so the rows stay
+    // as they are and only the ones currently in the DOM are redrawn
+    refreshEpisodeRows() {
+        if (!this.currentPodcast || this.currentEpisodes.length === 0) return;
+
+        this.updateEpisodesCount(this.currentEpisodes, this.visibleEpisodes);
+        this.episodeList.update(true);
     }
 
-    createEpisodeItem(episode) {
+    createEpisodeItem(episode, index) {
         const formattedDate = formatDate(episode.pubDate);
         const duration = episode.duration ? formatDuration(episode.duration) : '';
         const description = truncateText(stripHtml(episode.description), 120);
+        const played = episodeStateStore.isPlayed(episode.guid);
+        const progress = episodeStateStore.getProgress(episode.guid);
+        const title = escapeHtml(episode.title);
+
+        let status = '';
+        if (played) {
+            status = '<span class="episode-played" aria-label="Played">✓ Played</span>';
+        } else if (progress > 0) {
+            const remaining = Math.max(0, (episode.duration || 0) - episodeStateStore.getResumePosition(episode.guid));
+            status = `<span class="episode-remaining">${remaining > 0 ? `${formatDuration(remaining)} left` : 'In progress'}</span>`;
+        }
 
         return `
-            <div class="episode-item" role="button" tabindex="0" aria-label="Play ${episode.title}">
-                <h4 class="episode-title">${episode.title}</h4>
+            <div class="episode-item${played ? ' played' : ''}" data-index="${index}" role="button" tabindex="0" aria-label="Play ${title}">
+                <h4 class="episode-title">${title}</h4>
                 <div class="episode-meta">
                     <span class="episode-date">${formattedDate}</span>
+                    ${status}
                     ${duration ? `<span class="episode-duration">${duration}</span>` : ''}
                 </div>
-                <p class="episode-description">${description}</p>
+                ${progress > 0 ? `
+                    <div class="episode-progress" role="progressbar" aria-valuemin="0" aria-valuemax="100" aria-valuenow="${Math.round(progress * 100)}">
+                        <div class="episode-progress-fill" style="width: ${(progress * 100).toFixed(1)}%"></div>
+                    </div>
+                ` : ''}
+                <p class="episode-description">${escapeHtml(description)}</p>
+                ${this.createEpisodeActions(episode, `
+                    <button class="text-button" data-action="mark-older" aria-label="Mark episodes older than ${title} as played">Mark Older Played</button>
+                `)}
             </div>
         `;
     }
 
-    async playEpisode(episode, podcastName) {
+    createEpisodeActions(episode, extraActions = '') {
+        const title = escapeHtml(episode.title);
+        const played = episodeStateStore.isPlayed(episode.guid);
+
+        return `
+            <div class="episode-actions">
+                <button class="text-button" data-action="show-notes" aria-label="Show notes for ${title}">Show Notes</button>
+                <button class="text-button" data-action="share" aria-label="Share ${title}">Share</button>
+                <button class="text-button" data-action="play-next" aria-label="Play ${title} next">Play Next</button>
+                <button class="text-button" data-action="add-to-queue" aria-label="Add ${title} to Up Next">Add to Queue</button>
+                <button class="text-button" data-action="toggle-played" aria-label="Mark ${title} as ${played ? 'unplayed' : 'played'}">${played ? 'Mark Unplayed' : 'Mark Played'}</button>
+                ${this.createDownloadAction(episode)}
+                ${extraActions}
+            </div>
+        `;
+    }
+
+    createDownloadAction(episode) {
+        if (!downloadManager.isSupported()) return '';
+
+        const title = escapeHtml(episode.title);
+        const guid = escapeHtml(episode.guid);
+
+        if (downloadManager.isDownloaded(episode.guid)) {
+            return `<button class="text-button" data-action="remove-download" aria-label="Remove download of ${title}">Remove Download</button>`;
+        }
+
+        if (downloadManager.isDownloading(episode.guid)) {
+            const percent = Math.round(downloadManager.getProgress(episode.guid) * 100);
+            return `<button class="text-button" data-action="cancel-download" data-download-progress="${guid}" aria-label="Cancel download of ${title}">Cancel (${percent}%)</button>`;
+        }
+
+        return `<button class="text-button" data-action="download" aria-label="Download ${title}">Download</button>`;
+    }
+
+    handleEpisodeAction(event, episode, podcast) {
+        const action = event.target.closest('[data-action]');
+        if (!action) return false;
+
+        if (action.dataset.action === 'download') {
+            event.stopPropagation();
+            announceToScreenReader(`Downloading ${episode.title}`);
+            downloadManager.download(episode, podcast)
+                .then(() => {
+                    if (downloadManager.isDownloaded(episode.guid)) {
+                        announceToScreenReader(`Downloaded ${episode.title}`);
+                    }
+                })
+                .catch(error => {
+                    this.showToast(extractErrorMessage(error));
+                    announceToScreenReader('Download failed');
+                });
+            return true;
+        }
+
+        if (action.dataset.action === 'cancel-download' || action.dataset.action === 'remove-download') {
+            event.stopPropagation();
+            downloadManager.remove(episode.guid);
+            announceToScreenReader(`Removed download of ${episode.title}`);
+            return true;
+        }
+
+        if (action.dataset.action === 'toggle-played') {
+            event.stopPropagation();
+            const podcastId = getPodcastKey(podcast);
+            if (episodeStateStore.isPlayed(episode.guid)) {
+                episodeStateStore.markUnplayed([episode.guid], podcastId);
+                announceToScreenReader(`Marked ${episode.title} as unplayed`);
+            } else {
+                episodeStateStore.markPlayed([episode.guid], podcastId);
+                announceToScreenReader(`Marked ${episode.title} as played`);
+            }
+            return true;
+        }
+
+        if (action.dataset.action === 'show-notes') {
+            event.stopPropagation();
+            this.openEpisodeDetails(episode, podcast);
+            return true;
+        }
+
+        if (action.dataset.action === 'share') {
+            event.stopPropagation();
+            this.shareEpisode(episode, podcast, action);
+            return true;
+        }
+
+        if (action.dataset.action === 'play-next') {
+            event.stopPropagation();
+            playbackQueue.playNext(episode, podcast);
+            announceToScreenReader(`${episode.title} will play next`);
+            return true;
+        }
+
+        if (action.dataset.action === 'add-to-queue') {
+            event.stopPropagation();
+            playbackQueue.add(episode, podcast);
+            announceToScreenReader(`Added ${episode.title} to Up Next`);
+            return true;
+        }
+
+        return false;
+    }
+
+    async playEpisode(episode, podcast) {
         console.log('Attempting to play episode:', episode);
 
         if (!episode.audioUrl) {
@@ -299,11 +1328,12 @@ class PodcatcherApp {
 
         // Immediately switch to player tab and close modal
         this.navigateToPage('player-page');
+        this.closeEpisodeDetails(false);
         this.closeModal();
 
         try {
             // Load episode with auto-play enabled
-            await audioPlayer.loadEpisode(episode, podcastName, true);
+            await audioPlayer.loadEpisode(episode, podcast, true);
             announceToScreenReader(`Now playing: ${episode.title}`);
         } catch (error) {
             console.error('Play episode error:', error);
@@ -313,24 +1343,99 @@ class PodcatcherApp {
         }
     }
 
+    async playEpisodeAt(episode, podcast, seconds) {
+        const current = audioPlayer.getCurrentEpisode();
+
+        if (current && current.guid === episode.guid) {
+            this.navigateToPage('player-page');
+            this.closeEpisodeDetails(false);
+            this.closeModal();
+            audioPlayer.seekToTime(seconds);
+            audioPlayer.play();
+        } else {
+            await this.playEpisode(episode, podcast);
+            if (audioPlayer.getCurrentEpisode() === episode) {
+                audioPlayer.seekToTime(seconds);
+            }
+        }
+
+        announceToScreenReader(`Playing from ${formatDuration(seconds)}`);
+    }
+
+    openEpisodeDetails(episode, podcast, { updateRoute = true, time = 0 } = {}) {
+        this.detailsEpisode = { episode, podcast, time };
+
+        if (updateRoute && getPodcastKey(podcast)) {
+            router.push({ name: 'episode', podcastId: getPodcastKey(podcast), guid: episode.guid });
+        }
+
+        const meta = [formatDate(episode.pubDate)];
+        if (episode.duration) {
+            meta.push(formatDuration(episode.duration));
+        }
+        if (episode.season !== null && episode.season !== undefined) {
+            meta.push(episode.episodeNumber ? `S${episode.season} E${episode.episodeNumber}` : `Season ${episode.season}`);
+        } else if (episode.episodeNumber) {
+            meta.push(`Episode ${episode.episodeNumber}`);
+        }
+
+        this.elements.episodeDetailsTitle.textContent = episode.title;
+        this.elements.episodeDetailsPodcast.textContent = podcast ? podcast.name : '';
+        this.elements.episodeDetailsMeta.innerHTML = meta
+            .filter(Boolean)
+            .map(item => `<span>${escapeHtml(item)}</span>`)
+            .join('');
+
+        const notes = sanitizeShowNotes(episode.notesHtml || episode.description, { duration: episode.duration });
+        if (notes.textContent.trim() || notes.querySelector('img')) {
+            this.elements.episodeNotes.replaceChildren(notes);
+        } else {
+            this.elements.episodeNotes.innerHTML = '<p class="empty-state">No show notes for this episode</p>';
+        }
+
+        this.elements.episodeDetailsPlayButton.textContent = time > 0 ? `Play from ${formatDuration(time)}` : 'Play';
+
+        this.elements.episodeModal.classList.remove('hidden');
+        this.elements.episodeModal.querySelector('.modal-body').scrollTop = 0;
+        this.elements.closeEpisodeModalButton.focus();
+
+        announceToScreenReader(`Opened show notes for ${episode.title}`);
+    }
+
+    closeEpisodeDetails(updateRoute = true) {
+        this.elements.episodeModal.classList.add('hidden');
+
+        if (updateRoute && router.getCurrent().name === 'episode') {
+            router.leave(this.currentPodcast
+                ? { name: 'podcast', podcastId: getPodcastKey(this.currentPodcast) }
+                : this.getBaseRoute());
+        }
+    }
+
     showPlayerError(message) {
-        const playerContainer = document.getElementById('player-container');
+        this.showToast(message, document.getElementById('player-container'));
+    }
+
+    showToast(message, container = document.getElementById('app')) {
         const errorDiv = document.createElement('div');
         errorDiv.className = 'player-error';
         errorDiv.innerHTML = `
             <div class="error-message">
-                <p>⚠️ ${message}</p>
-                <button onclick="this.parentElement.parentElement.remove()" class="retry-button">Dismiss</button>
+                <p>⚠️ ${escapeHtml(message)}</p>
+                <button class="retry-button">Dismiss</button>
             </div>
         `;
 
+        // Inline handlers are blocked by the Content-Security-Policy
+        errorDiv.querySelector('.retry-button').addEventListener('click', () => errorDiv.remove());
+
         // Remove any existing error messages
-        const existingError = playerContainer.querySelector('.player-error');
+        const existingError = container.querySelector('.player-error');
         if (existingError) {
             existingError.remove();
         }
 
-        playerContainer.insertBefore(errorDiv, playerContainer.firstChild);
+        container.insertBefore(errorDiv, container.firstChild);
 
         // Auto-remove after 5 seconds
         setTimeout(() => {
@@ -340,17 +1445,984 @@ class PodcatcherApp {
         }, 5000);
     }
 
-    closeModal() {
+    async markAllPlayed() {
+        if (!this.currentPodcast || this.currentEpisodes.length === 0) return;
+
+        await episodeStateStore.markAllPlayed(this.currentEpisodes, getPodcastKey(this.currentPodcast));
+        announceToScreenReader('Marked all episodes as played');
+    }
+
+    onEpisodeEnded({ episode, podcast }) {
+        if (!episode || !podcast) return;
+
+        if (subscriptionManager.isSubscribed(podcast)) {
+            feedRefresher.markEpisodeDone(getPodcastKey(podcast), episode.guid);
+        }
+    }
+
+    async toggleSubscription() {
+        const podcast = this.currentPodcast;
+        if (!podcast) return;
+
+        this.elements.subscribeButton.disabled = true;
+
+        try {
+            if (subscriptionManager.isSubscribed(podcast)) {
+                const subscription = subscriptionManager.get(getPodcastKey(podcast));
+                await subscriptionManager.unsubscribe(podcast);
+                feedRefresher.forgetPodcast(subscription);
+                this.forgetFeedPassword(subscription.feedUrl);
+                announceToScreenReader(`Unfollowed ${podcast.name}`);
+            } else {
+                const subscription = await subscriptionManager.subscribe(podcast);
+                feedRefresher.addPodcast(subscription);
+                announceToScreenReader(`Following ${podcast.name}`);
+            }
+        } catch (error) {
+            console.error('Subscription error:', error);
+            announceToScreenReader('Unable to update subscription');
+        } finally {
+            this.elements.subscribeButton.disabled = false;
+            this.updateSubscribeButton();
+        }
+    }
+
+    updateSubscribeButton() {
+        const button = this.elements.subscribeButton;
+        const subscribed = this.currentPodcast && subscriptionManager.isSubscribed(this.currentPodcast);
+
+        button.textContent = subscribed ? 'Following' : 'Follow';
+        button.classList.toggle('subscribed', Boolean(subscribed));
+        button.setAttribute('aria-pressed', subscribed ? 'true' : 'false');
+    }
+
+    renderLibrary() {
+        const subscriptions = subscriptionManager.getAll();
+
+        if (subscriptions.length === 0) {
+            this.elements.libraryList.innerHTML = `
+                <div class="empty-state">
+                    <p>You are not following any podcasts yet</p>
+                </div>
+            `;
+            return;
+        }
+
+        this.elements.libraryList.innerHTML = subscriptions
+            .map(subscription => this.createSubscriptionCard(subscription))
+            .join('');
+
+        this.elements.libraryList.querySelectorAll('.podcast-card').forEach((card, index) => {
+            card.addEventListener('click', () => {
+                this.openPodcastModal(subscriptions[index]);
+            });
+        });
+    }
+
+    createSubscriptionCard(subscription) {
+        const artwork = subscription.artwork || 'icon.svg';
+        const name = escapeHtml(subscription.name);
+        const unplayed = subscription.unplayedCount || 0;
+
+        return `
+            <div class="podcast-card" role="button" tabindex="0" aria-label="View ${name}, ${unplayed} unplayed episodes">
+                <div class="podcast-card-content">
+                    <img src="${escapeHtml(artwork)}" alt="${name} artwork" class="podcast-thumbnail" loading="lazy">
+                    <div class="podcast-info">
+                        <h3 class="podcast-name">${name}</h3>
+                        <p class="podcast-artist">${escapeHtml(subscription.artistName)}</p>
+                        ${unplayed > 0 ? `<span class="unplayed-badge">${unplayed} unplayed</span>` : ''}
+                    </div>
+                </div>
+            </div>
+        `;
+    }
+
+    async importSubscriptions(file) {
+        const report = this.elements.opmlReport;
+        const button = this.elements.importOpmlButton;
+
+        report.classList.remove('hidden');
+        report.textContent = 'Reading OPML file...';
+        button.disabled = true;
+
+        try {
+            const text = await readFileAsText(file);
+            const result = await importOPML(text, (done, total) => {
+                report.textContent = `Importing feeds... ${done} of ${total}`;
+            });
+
+            const failures = result.failed.map(feed => `
+                <li><strong>${escapeHtml(feed.title)}</strong>: ${escapeHtml(feed.error)}</li>
+            `).join('');
+
+            report.innerHTML = `
+                <p>Imported ${result.imported.length} of ${result.total} feeds${result.existing.length > 0 ? `, ${result.existing.length} already followed` : ''}.</p>
+                ${failures ? `<p>${result.failed.length} could not be imported:</p><ul>${failures}</ul>` : ''}
+                <button class="text-button" data-action="close-report">Dismiss</button>
+            `;
+            report.querySelector('[data-action="close-report"]').addEventListener('click', () => {
+                report.classList.add('hidden');
+            });
+
+            announceToScreenReader(`Imported ${result.imported.length} podcasts, ${result.failed.length} failed`);
+        } catch (error) {
+            console.error('OPML import error:', error);
+            report.textContent = extractErrorMessage(error);
+            announceToScreenReader('OPML import failed');
+        } finally {
+            button.disabled = false;
+        }
+    }
+
+    async exportBackup() {
+        const status = this.elements.backupStatus;
+
+        try {
+            const backup = await exportBackup();
+            const podcasts = backup.stores.subscriptions.length;
+            status.textContent = `Backup saved with ${podcasts} ${podcasts === 1 ? 'podcast' : 'podcasts'}`;
+        } catch (error) {
+            console.error('Backup export error:', error);
+            status.textContent = `Backup failed: ${extractErrorMessage(error)}`;
+        }
+        announceToScreenReader(status.textContent);
+    }
+
+    async previewBackup(file) {
+        const status = this.elements.backupStatus;
+        this.elements.backupPreview.classList.add('hidden');
+        status.textContent = 'Reading backup...';
+
+        try {
+            this.pendingBackup = parseBackup(await readFileAsText(file));
+            // Playback writes progress and history; stop it before anything is restored over them
+            audioPlayer.pause();
+            status.textContent = '';
+            await this.renderBackupPreview('merge');
+        } catch (error) {
+            console.error('Backup import error:', error);
+            this.pendingBackup = null;
+            status.textContent = extractErrorMessage(error);
+            announceToScreenReader('Backup could not be read');
+        }
+    }
+
+    async renderBackupPreview(mode) {
+        const backup = this.pendingBackup;
+        const preview = this.elements.backupPreview;
+        const plan = await planRestore(backup, mode);
+        this.restorePlan = plan;
+
+        const created = backup.createdAt ? new Date(backup.createdAt) : null;
+        const source = [
+            created && !isNaN(created) ? `from ${created.toLocaleString()}` : '',
+            backup.appVersion ? `made with version ${escapeHtml(backup.appVersion)}` : ''
+        ].filter(Boolean).join(', ');
+
+        const storeRows = plan.stores.map(section => {
+            const changes = [`${section.total} in backup`, `${section.added} new`, `${section.updated} updated`];
+            if (mode === 'replace') {
+                changes.push(`${section.removed} removed`);
+            }
+            return `<li><strong>${escapeHtml(section.label)}</strong>: ${changes.join(' · ')}</li>`;
+        });
+
+        const localRows = plan.local.map(entry => {
+            let change = 'no change';
+            if (entry.changed) {
+                change = entry.isNew ? 'added' : mode === 'replace' ? 'replaced' : 'merged';
+            }
+            return `<li><strong>${escapeHtml(entry.label)}</strong>: ${change}</li>`;
+        });
+
+        preview.innerHTML = `
+            <p>Backup${source ? ` ${source}` : ''}.</p>
+            <div class="filter-row" role="radiogroup" aria-label="How to restore">
+                <label class="filter-option">
+                    <input type="radio" name="restore-mode" value="merge" ${mode === 'merge' ? 'checked' : ''}>
+                    Merge with this device
+                </label>
+                <label class="filter-option">
+                    <input type="radio" name="restore-mode" value="replace" ${mode === 'replace' ? 'checked' : ''}>
+                    Replace this device's data
+                </label>
+            </div>
+            <p>${mode === 'merge'
+                ? 'Adds what this device doesn\'t have. Where both have the same item, the more recently updated one is kept.'
+                : 'Each section in the backup replaces the same data on this device. Sections not in the backup are left alone.'}</p>
+            <ul>${storeRows.concat(localRows).join('')}</ul>
+            ${plan.skipped > 0 ? `<p>${plan.skipped} damaged ${plan.skipped === 1 ? 'record' : 'records'} will be skipped.</p>` : ''}
+            <p>The app reloads after restoring.</p>
+            <div class="list-toolbar">
+                <button class="text-button" data-action="cancel-restore">Cancel</button>
+                <button class="text-button" data-action="restore-backup">Restore</button>
+            </div>
+        `;
+        preview.classList.remove('hidden');
+        announceToScreenReader('Backup ready to restore. Review the changes below.');
+    }
+
+    async restoreBackup() {
+        const plan = this.restorePlan;
+        const status = this.elements.backupStatus;
+        if (!plan) return;
+
+        if (plan.mode === 'replace' && !confirm('Replace this device\'s data with the backup? This cannot be undone.')) {
+            return;
+        }
+
+        this.elements.backupPreview.querySelectorAll('button, input').forEach(control => {
+            control.disabled = true;
+        });
+        listeningHistory.stop();
+
+        try {
+            await applyRestore(plan);
+            status.textContent = 'Backup restored. Reloading...';
+            announceToScreenReader(status.textContent);
+            // Every module reads its state at startup, so a reload is the simplest way to pick it all up
+            location.reload();
+        } catch (error) {
+            console.error('Backup restore error:', error);
+            status.textContent = `Restore failed, nothing was changed: ${extractErrorMessage(error)}`;
+            announceToScreenReader(status.textContent);
+            this.elements.backupPreview.querySelectorAll('button, input').forEach(control => {
+                control.disabled = false;
+            });
+        }
+    }
+
+    renderSettings() {
+        this.elements.settingsRows.forEach(container => {
+            const group = container.dataset.group;
+
+            container.innerHTML = Object.keys(SETTINGS_SCHEMA)
+                .filter(key => SETTINGS_SCHEMA[key].group === group && SETTINGS_SCHEMA[key].options)
+                .map(key => this.createSettingRow(key))
+                .join('');
+        });
+    }
+
+    createSettingRow(key) {
+        const definition = SETTINGS_SCHEMA[key];
+        const value = settings.get(key);
+
+        // Values set elsewhere (e.g. the player's speed picker) may not be among the presets
+        const options = definition.options.includes(value) ? definition.options : [...definition.options, value];
+        const id = `setting-${key}`;
+
+        return `
+            <div class="setting-row">
+                <label for="${id}">${escapeHtml(definition.label)}</label>
+                <select id="${id}" data-setting="${key}">
+                    ${options.map(option => `
+                        <option value="${option}" ${option === value ? 'selected' : ''}>${escapeHtml(definition.format(option))}</option>
+                    `).join('')}
+                </select>
+            </div>
+        `;
+    }
+
+    // Updates one select in place so keyboard focus survives the change
+    syncSetting(key) {
+        const select = document.querySelector(`[data-setting="${key}"]`);
+        if (!select) return;
+
+        const value = String(settings.get(key));
+        if (Array.from(select.options).some(option => option.value === value)) {
+            select.value = value;
+        } else {
+            this.renderSettings();
+        }
+    }
+
+    updateSetting(key, value) {
+        const status = this.elements.settingsStatus;
+
+        try {
+            settings.set(key, value);
+            status.textContent = '';
+            status.classList.remove('error');
+        } catch (error) {
+            status.textContent = extractErrorMessage(error);
+            status.classList.add('error');
+            announceToScreenReader(status.textContent);
+            this.renderSettings();
+        }
+    }
+
+    async renderStorage() {
+        await cacheStore.ready;
+
+        const summary = cacheStore.getSummary();
+        const estimate = await downloadManager.getStorageEstimate();
+
+        let usage = `${formatBytes(summary.size)} of ${formatBytes(summary.limit)} cache used`;
+        if (estimate && estimate.quota) {
+            usage += ` · ${formatBytes(estimate.usage)} used on this device, including downloads`;
+        }
+        this.elements.cacheUsage.textContent = usage;
+        this.elements.clearCacheButton.disabled = summary.count === 0;
+
+        this.elements.cacheSummary.innerHTML = Object.keys(summary.kinds).map(kind => {
+            const { count, size } = summary.kinds[kind];
+            const label = CACHE_KINDS[kind] || kind;
+
+            return `
+                <div class="setting-row">
+                    <span>${escapeHtml(label)}</span>
+                    <span class="cache-size">
+                        ${count} ${count === 1 ? 'item' : 'items'} · ${formatBytes(size)}
+                        <button class="text-button" data-clear-kind="${escapeHtml(kind)}" aria-label="Clear ${escapeHtml(label)}" ${count === 0 ? 'disabled' : ''}>Clear</button>
+                    </span>
+                </div>
+            `;
+        }).join('');
+
+        const entries = cacheStore.getLargestEntries();
+        this.elements.cacheEntries.innerHTML = entries.length === 0
+            ? '<p class="setting-hint">Nothing cached yet</p>'
+            : entries.map(entry => {
+                const name = entry.label || entry.key.slice(entry.key.indexOf(':') + 1);
+
+                return `
+                    <div class="setting-row">
+                        <span class="cache-entry">
+                            <span class="cache-entry-name">${escapeHtml(name)}</span>
+                            <span class="setting-hint">${escapeHtml(CACHE_KINDS[entry.kind] || entry.kind)} · used ${escapeHtml(formatDate(entry.lastAccessed))}</span>
+                        </span>
+                        <span class="cache-size">
+                            ${formatBytes(entry.size)}
+                            <button class="text-button" data-remove-key="${escapeHtml(entry.key)}" aria-label="Remove ${escapeHtml(name)} from cache">Remove</button>
+                        </span>
+                    </div>
+                `;
+            }).join('');
+    }
+
+    async clearCache(kind = null) {
+        await cacheStore.clear(kind);
+
+        this.elements.cacheStatus.textContent = kind ? `${CACHE_KINDS[kind] || kind} cleared` : 'Cache cleared';
+        announceToScreenReader(this.elements.cacheStatus.textContent);
+    }
+
+    // A private feed's password is kept only while some subscription uses it
+    forgetFeedPassword(feedUrl) {
+        if (feedUrl && !subscriptionManager.findByFeedUrl(feedUrl)) {
+            podcastAPI.forgetFeedCredentials(feedUrl);
+        }
+    }
+
+    forgetAllFeedPasswords() {
+        if (!confirm('Forget the passwords of all private feeds? They will stop updating until you paste their address with the password again.')) {
+            return;
+        }
+
+        podcastAPI.clearFeedCredentials();
+        this.renderFeedPasswords();
+        this.elements.feedPasswordsStatus.textContent = 'Saved feed passwords forgotten';
+        announceToScreenReader(this.elements.feedPasswordsStatus.textContent);
+    }
+
+    renderFeedPasswords() {
+        const count = Object.keys(podcastAPI.feedCredentials).length;
+
+        this.elements.forgetFeedPasswordsButton.disabled = count === 0;
+        this.elements.feedPasswordsStatus.textContent = count === 0
+            ? 'No feed passwords saved'
+            : `${count} ${count === 1 ? 'feed password' : 'feed passwords'} saved`;
+    }
+
+    saveCorsProxy() {
+        const status = this.elements.corsProxyStatus;
+
+        try {
+            podcastAPI.setCorsProxy(this.elements.corsProxyInput.value);
+            status.textContent = podcastAPI.corsProxy
+                ? 'Saved. Feeds that block direct access will load through the proxy.'
+                : 'Proxy removed. Feeds will only be fetched directly.';
+            status.classList.remove('error');
+        } catch (error) {
+            status.textContent = extractErrorMessage(error);
+            status.classList.add('error');
+        }
+
+        announceToScreenReader(status.textContent);
+    }
+
+    onDownloadsChanged() {
+        this.renderDownloads();
+        this.renderInbox();
+
+        this.refreshEpisodeRows();
+    }
+
+    updateDownloadProgress(record) {
+        const percent = Math.round(downloadManager.getProgress(record.guid) * 100);
+        const selector = `[data-download-progress="${CSS.escape(record.guid)}"]`;
+
+        document.querySelectorAll(selector).forEach(element => {
+            if (element.classList.contains('download-status')) {
+                element.textContent = `Downloading ${percent}%`;
+            } else {
+                element.textContent = `Cancel (${percent}%)`;
+            }
+        });
+    }
+
+    async renderDownloads() {
+        const downloads = downloadManager.getAll();
+        const used = downloadManager.getUsedBytes();
+        const quota = downloadManager.getQuotaBytes();
+        const estimate = await downloadManager.getStorageEstimate();
+
+        let usage = `${formatBytes(used)} of ${quota > 0 ? formatBytes(quota) : 'unlimited'} used`;
+        if (estimate && estimate.quota) {
+            usage += ` · ${formatBytes(estimate.quota - estimate.usage)} free on device`;
+        }
+        this.elements.storageUsage.textContent = usage;
+        this.elements.deleteAllDownloadsButton.classList.toggle('hidden', downloads.length === 0);
+
+        if (downloads.length === 0) {
+            this.elements.downloadsList.innerHTML = `
+                <div class="empty-state">
+                    <p>No downloaded episodes</p>
+                </div>
+            `;
+            return;
+        }
+
+        this.elements.downloadsList.innerHTML = downloads.map(record => this.createDownloadItem(record)).join('');
+
+        this.elements.downloadsList.querySelectorAll('.episode-item').forEach((element, index) => {
+            const record = downloads[index];
+
+            element.addEventListener('click', (e) => {
+                if (e.target.closest('[data-action="remove-download"]')) {
+                    e.stopPropagation();
+                    downloadManager.remove(record.guid);
+                    announceToScreenReader(`Removed download of ${record.episode.title}`);
+                    return;
+                }
+
+                if (record.status === 'complete') {
+                    this.playEpisode(record.episode, record.podcast);
+                }
+            });
+        });
+    }
+
+    createDownloadItem(record) {
+        const episode = record.episode;
+        const title = escapeHtml(episode.title);
+        const status = record.status === 'complete'
+            ? `<span class="episode-duration">${formatBytes(record.size)}</span>`
+            : `<span class="download-status" data-download-progress="${escapeHtml(record.guid)}">Downloading ${Math.round(downloadManager.getProgress(record.guid) * 100)}%</span>`;
+
+        return `
+            <div class="episode-item inbox-item" role="button" tabindex="0" aria-label="Play ${title}">
+                <img src="${escapeHtml(episode.artwork || (record.podcast && record.podcast.artwork) || 'icon.svg')}" alt="" class="inbox-artwork" loading="lazy">
+                <div class="inbox-details">
+                    <p class="inbox-podcast">${escapeHtml(record.podcast ? record.podcast.name : '')}</p>
+                    <h4 class="episode-title">${title}</h4>
+                    <div class="episode-meta">
+                        <span class="episode-date">${formatDate(episode.pubDate)}</span>
+                        ${status}
+                    </div>
+                    <div class="episode-actions">
+                        <button class="text-button" data-action="remove-download" aria-label="Delete download of ${title}">${record.status === 'complete' ? 'Delete' : 'Cancel'}</button>
+                    </div>
+                </div>
+            </div>
+        `;
+    }
+
+    switchLibraryView(viewId) {
+        this.elements.librarySegments.forEach(segment => {
+            const active = segment.dataset.view === viewId;
+            segment.classList.toggle('active', active);
+            segment.setAttribute('aria-selected', active ? 'true' : 'false');
+        });
+
+        this.elements.libraryViews.forEach(view => {
+            view.classList.toggle('hidden', view.id !== viewId);
+        });
+
+        // The session in progress only reaches the stats when they are redrawn
+        if (viewId === 'history-view') {
+            this.renderListeningHistory();
+        }
+    }
+
+    renderListeningHistory() {
+        this.renderListeningStats();
+        this.renderHistoryList();
+    }
+
+    renderListeningStats() {
+        const stats = listeningHistory.getStats();
+        const hasHistory = listeningHistory.getSessions().length > 0;
+
+        this.elements.exportHistoryButton.disabled = !hasHistory;
+        this.elements.resetHistoryButton.disabled = !hasHistory;
+
+        if (!hasHistory) {
+            this.elements.listeningStats.innerHTML = `
+                <div class="empty-state">
+                    <p>Play an episode to start building your listening stats</p>
+                </div>
+            `;
+            return;
+        }
+
+        const days = (count) => `${count} ${count === 1 ? 'day' : 'days'}`;
+        const tiles = [
+            ['Today', formatListeningTime(stats.today)],
+            ['This week', formatListeningTime(stats.thisWeek)],
+            ['All time', formatListeningTime(stats.total)],
+            ['Current streak', days(stats.currentStreak)],
+            ['Longest streak', days(stats.longestStreak)],
+            ['Finished', `${stats.episodesCompleted} of ${stats.episodesStarted} (${Math.round(stats.completionRate * 100)}%)`]
+        ];
+
+        const dayLabel = start => new Date(start).toLocaleDateString(undefined, { weekday: 'short' });
+        const weekLabel = start => new Date(start).toLocaleDateString(undefined, { month: 'short', day: 'numeric' });
+
+        this.elements.listeningStats.innerHTML = `
+            <div class="stats-tiles">
+                ${tiles.map(([label, value]) => `
+                    <div class="stats-tile">
+                        <span class="stats-value">${escapeHtml(value)}</span>
+                        <span class="stats-label">${label}</span>
+                    </div>
+                `).join('')}
+            </div>
+            <h4 class="cache-heading">Last 7 days</h4>
+            ${this.createStatsChart(stats.days, dayLabel, 'per day')}
+            <h4 class="cache-heading">Last 8 weeks</h4>
+            ${this.createStatsChart(stats.weeks, weekLabel, 'per week, by week starting')}
+            <h4 class="cache-heading">Top podcasts</h4>
+            <ol class="stats-top">
+                ${stats.topPodcasts.map(item => `
+                    <li>
+                        <span class="stats-top-name">${escapeHtml(item.podcast.name)}</span>
+                        <span class="stats-top-value">${formatListeningTime(item.seconds)} · ${item.episodes} ${item.episodes === 1 ? 'episode' : 'episodes'}</span>
+                    </li>
+                `).join('')}
+            </ol>
+        `;
+    }
+
+    createStatsChart(buckets, getLabel, description) {
+        const max = Math.max(...buckets.map(bucket => bucket.seconds), 1);
+        const summary = buckets
+            .map(bucket => `${getLabel(bucket.start)}: ${formatListeningTime(bucket.seconds)}`)
+            .join(', ');
+
+        return `
+            <div class="stats-chart" role="img" aria-label="${escapeHtml(`Time listened ${description}. ${summary}`)}">
+                ${buckets.map(bucket => `
+                    <div class="stats-column" title="${escapeHtml(formatListeningTime(bucket.seconds))}">
+                        <div class="stats-bar" style="height: ${((bucket.seconds / max) * 100).toFixed(1)}%"></div>
+                        <span class="stats-column-label">${escapeHtml(getLabel(bucket.start))}</span>
+                    </div>
+                `).join('')}
+            </div>
+        `;
+    }
+
+    renderHistoryList() {
+        const query = this.elements.historySearch.value;
+        // Long histories only show their most recent episodes; search reaches the rest
+        this.historyEntries = listeningHistory.getRecentEpisodes(query).slice(0, 100);
+
+        if (this.historyEntries.length === 0) {
+            this.elements.historyList.innerHTML = `
+                <div class="empty-state">
+                    <p>${query.trim() ? 'No played episodes match your search' : 'Nothing played yet'}</p>
+                </div>
+            `;
+            return;
+        }
+
+        this.elements.historyList.innerHTML = this.historyEntries
+            .map((entry, index) => this.createHistoryItem(entry, index))
+            .join('');
+    }
+
+    createHistoryItem(entry, index) {
+        const episode = entry.episode;
+        const title = escapeHtml(episode.title);
+        const played = episodeStateStore.isPlayed(episode.guid);
+        const position = episodeStateStore.getResumePosition(episode.guid);
+        const action = played ? 'Play again' : position > 0 ? `Resume at ${formatDuration(position)}` : 'Play';
+
+        return `
+            <div class="episode-item inbox-item" role="button" tabindex="0" data-index="${index}" aria-label="${escapeHtml(action)}: ${title}">
+                <img src="${escapeHtml(episode.artwork || (entry.podcast && entry.podcast.artwork) || 'icon.svg')}" alt="" class="inbox-artwork" loading="lazy">
+                <div class="inbox-details">
+                    <p class="inbox-podcast">${escapeHtml(entry.podcast ? entry.podcast.name : '')}</p>
+                    <h4 class="episode-title">${title}</h4>
+                    <div class="episode-meta">
+                        <span class="episode-date">Played ${formatDate(new Date(entry.lastPlayed).toISOString())}</span>
+                        <span class="episode-duration">${formatListeningTime(entry.elapsed)} listened</span>
+                    </div>
+                    <div class="episode-actions">
+                        <span class="text-button">${escapeHtml(action)}</span>
+                    </div>
+                </div>
+            </div>
+        `;
+    }
+
+    async refreshFeeds() {
+        const button = this.elements.refreshFeedsButton;
+        button.disabled = true;
+        this.elements.inboxStatus.textContent = 'Checking for new episodes...';
+
+        try {
+            const { newCount, failed } = await feedRefresher.refreshAll();
+            const message = newCount === 1 ? '1 new episode' : `${newCount} new episodes`;
+            announceToScreenReader(failed > 0 ? `${message}, ${failed} feeds failed to update` : message);
+        } catch (error) {
+            console.error('Feed refresh error:', error);
+            announceToScreenReader('Failed to check for new episodes');
+        } finally {
+            button.disabled = false;
+            this.updateInboxStatus();
+        }
+    }
+
+    updateInboxStatus() {
+        const lastRefresh = feedRefresher.lastRefresh;
+        this.elements.inboxStatus.textContent = lastRefresh
+            ? `Updated ${new Date(lastRefresh).toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' })}`
+            : '';
+    }
+
+    async renderInbox() {
+        let items;
+        try {
+            items = await feedRefresher.getInbox();
+        } catch (error) {
+            console.error('Inbox loading error:', error);
+            showError('Unable to load new episodes', this.elements.inboxList);
+            return;
+        }
+
+        this.updateInboxStatus();
+        this.elements.dismissAllButton.classList.toggle('hidden', items.length === 0);
+        this.elements.librarySegments[0].textContent = items.length > 0
+            ? `New Episodes (${items.length})`
+            : 'New Episodes';
+
+        if (items.length === 0) {
+            this.elements.inboxList.innerHTML = `
+                <div class="empty-state">
+                    <p>No new episodes</p>
+                </div>
+            `;
+            return;
+        }
+
+        this.elements.inboxList.innerHTML = items.map(item => this.createInboxItem(item)).join('');
+
+        this.elements.inboxList.querySelectorAll('.episode-item').forEach((element, index) => {
+            const item = items[index];
+
+            element.addEventListener('click', (e) => {
+                const podcast = subscriptionManager.get(item.podcastId);
+                if (this.handleEpisodeAction(e, item.episode, podcast)) return;
+
+                const action = e.target.closest('[data-action]');
+                if (action) {
+                    e.stopPropagation();
+                    if (action.dataset.action === 'done') {
+                        feedRefresher.markDone(item.id);
+                    } else {
+                        feedRefresher.dismiss(item.id);
+                    }
+                    return;
+                }
+
+                this.playEpisode(item.episode, podcast);
+            });
+        });
+    }
+
+    createInboxItem(item) {
+        const episode = item.episode;
+        const podcast = subscriptionManager.get(item.podcastId);
+        const title = escapeHtml(episode.title);
+        const duration = episode.duration ? formatDuration(episode.duration) : '';
+
+        return `
+            <div class="episode-item inbox-item" role="button" tabindex="0" aria-label="Play ${title}">
+                <img src="${escapeHtml(episode.artwork || podcast.artwork || 'icon.svg')}" alt="" class="inbox-artwork" loading="lazy">
+                <div class="inbox-details">
+                    <p class="inbox-podcast">${escapeHtml(podcast.name)}</p>
+                    <h4 class="episode-title">${title}</h4>
+                    <div class="episode-meta">
+                        <span class="episode-date">${formatDate(episode.pubDate)}</span>
+                        ${duration ? `<span class="episode-duration">${duration}</span>` : ''}
+                    </div>
+                    <div class="episode-actions">
+                        <button class="text-button" data-action="done" aria-label="Mark ${title} as done">Done</button>
+                        <button class="text-button" data-action="dismiss" aria-label="Dismiss ${title}">Dismiss</button>
+                    </div>
+                    ${this.createEpisodeActions(episode)}
+                </div>
+            </div>
+        `;
+    }
+
+    handleGlobalShortcut(event) {
+        if (keyboardShortcuts.isTypingTarget(event.target)) return;
+
+        switch (keyboardShortcuts.match(event)) {
+            case 'search':
+                event.preventDefault();
+                this.navigateToPage('search-page');
+                this.elements.searchInput.focus();
+                this.elements.searchInput.select();
+                break;
+            case 'help':
+                event.preventDefault();
+                if (this.elements.shortcutsOverlay.classList.contains('hidden')) {
+                    this.openShortcuts();
+                } else {
+                    this.closeShortcuts();
+                }
+                break;
+        }
+    }
+
+    openShortcuts() {
+        this.elements.shortcutsStatus.textContent = '';
+        this.renderShortcuts();
+        this.elements.shortcutsOverlay.classList.remove('hidden');
+        this.elements.closeShortcutsButton.focus();
+    }
+
+    closeShortcuts() {
+        keyboardShortcuts.capturing = null;
+        this.elements.shortcutsOverlay.classList.add('hidden');
+    }
+
+    renderShortcuts() {
+        const formatKeys = (keys) => keys
+            .map(key => `<kbd class="shortcut-key">${escapeHtml(keyboardShortcuts.formatKey(key))}</kbd>`)
+            .join('');
+
+        const rows = keyboardShortcuts.getActions().map(action => {
+            const capturing = keyboardShortcuts.capturing === action.id;
+            const keys = capturing
+                ? '<kbd class="shortcut-key capturing">Press a key…</kbd>'
+                : formatKeys(action.keys) || '<span class="list-status">Unassigned</span>';
+
+            return `
+                <tr>
+                    <td>${escapeHtml(action.label)}</td>
+                    <td>
+                        ${keys}
+                        <button class="text-button" data-action="remap" data-id="${action.id}"
+                                aria-label="Change shortcut for ${escapeHtml(action.label)}">Change</button>
+                    </td>
+                </tr>
+            `;
+        });
+
+        rows.push(`
+            <tr>
+                <td>Jump to 0–90%</td>
+                <td><kbd class="shortcut-key">0</kbd>–<kbd class="shortcut-key">9</kbd></td>
+            </tr>
+            <tr>
+                <td>Close dialog</td>
+                <td><kbd class="shortcut-key">Esc</kbd></td>
+            </tr>
+        `);
+
+        this.elements.shortcutsList.innerHTML = rows.join('');
+    }
+
+    startShortcutCapture(actionId) {
+        keyboardShortcuts.capturing = actionId;
+        this.elements.shortcutsStatus.textContent = 'Press the new key, or Escape to cancel';
+        this.renderShortcuts();
+    }
+
+    captureShortcut(event) {
+        // Wait for the actual key when only a modifier is down
+        if (['Shift', 'Control', 'Alt', 'Meta'].includes(event.key)) return;
+
+        event.preventDefault();
+        event.stopPropagation();
+
+        const actionId = keyboardShortcuts.capturing;
+        keyboardShortcuts.capturing = null;
+
+        if (event.key === 'Escape') {
+            this.elements.shortcutsStatus.textContent = '';
+            this.renderShortcuts();
+            return;
+        }
+
+        try {
+            keyboardShortcuts.setKey(actionId, event.key);
+            this.elements.shortcutsStatus.textContent = `Assigned ${keyboardShortcuts.formatKey(keyboardShortcuts.normalizeKey(event.key))}`;
+        } catch (error) {
+            this.elements.shortcutsStatus.textContent = error.message;
+            this.renderShortcuts();
+        }
+        announceToScreenReader(this.elements.shortcutsStatus.textContent);
+    }
+
+    closeModal(updateRoute = true) {
         this.elements.podcastModal.classList.add('hidden');
+        if (this.currentPodcast) {
+            this.forgetFeedPassword(this.currentPodcast.feedUrl);
+        }
         this.currentPodcast = null;
+
+        if (updateRoute && ['podcast', 'episode'].includes(router.getCurrent().name)) {
+            router.leave(this.getBaseRoute());
+        }
+    }
+
+    // The route to return to when no podcast or episode is open
+    getBaseRoute() {
+        const query = this.elements.searchInput.value.trim();
+        return query && !normalizeFeedUrl(query) ? { name: 'search', query: query } : { name: 'home' };
+    }
+
+    async applyRoute(route) {
+        if (route.name === 'home' || route.name === 'search') {
+            this.closeEpisodeDetails(false);
+            this.closeModal(false);
+
+            if (route.name === 'search' && this.elements.searchInput.value.trim() !== route.query) {
+                this.navigateToPage('search-page');
+                this.elements.searchInput.value = route.query;
+                this.performSearch(route.query, false);
+            }
+            return;
+        }
+
+        if (route.name === 'podcast') {
+            this.closeEpisodeDetails(false);
+        }
+
+        let podcast = this.currentPodcast;
+        if (!podcast || getPodcastKey(podcast) !== route.podcastId) {
+            try {
+                podcast = await this.findPodcast(route.podcastId);
+            } catch (error) {
+                console.error('Linked podcast error:', error);
+                this.showToast('Could not open the linked podcast.');
+                router.replace({ name: 'home' });
+                return;
+            }
+
+            // Another navigation happened while the podcast was being looked up
+            if (router.getCurrent().podcastId !== route.podcastId) return;
+            this.openPodcastModal(podcast, { updateRoute: false });
+        }
+
+        if (route.name === 'episode') {
+            await this.openLinkedEpisode(podcast, route);
+        }
+    }
+
+    async findPodcast(podcastId) {
+        await subscriptionManager.ready;
+
+        const subscribed = subscriptionManager.get(podcastId);
+        if (subscribed) return subscribed;
+
+        return isValidUrl(podcastId)
+            ? podcastAPI.getPodcastFromFeed(podcastId)
+            : podcastAPI.getPodcastById(podcastId);
+    }
+
+    async openLinkedEpisode(podcast, route) {
+        const current = audioPlayer.getCurrentEpisode();
+        let episode = current && current.guid === route.guid ? current : null;
+
+        if (!episode) {
+            await this.episodesLoading;
+            if (this.currentPodcast !== podcast) return;
+            episode = this.currentEpisodes.find(item => item.guid === route.guid);
+        }
+
+        if (!episode) {
+            this.showToast('That episode is no longer in the feed.');
+            router.replace({ name: 'podcast', podcastId: route.podcastId });
+            return;
+        }
+
+        const details = this.detailsEpisode;
+        if (!details || details.episode.guid !== episode.guid || details.time !== route.time
+            || this.elements.episodeModal.classList.contains('hidden')) {
+            this.openEpisodeDetails(episode, podcast, { updateRoute: false, time: route.time });
+        }
+    }
+
+    sharePodcast(podcast, button) {
+        if (!podcast) return;
+
+        this.shareRoute({
+            title: podcast.name,
+            text: `${podcast.name} by ${podcast.artistName}`,
+            url: getRouteUrl({ name: 'podcast', podcastId: getPodcastKey(podcast) })
+        }, button);
+    }
+
+    // Links to the currently playing episode start where the listener is
+    shareEpisode(episode, podcast, button) {
+        const current = audioPlayer.getCurrentEpisode();
+        const time = current && current.guid === episode.guid ? Math.floor(audioPlayer.audio.currentTime) : 0;
+        const podcastId = getPodcastKey(podcast);
+        const title = podcast ? `${episode.title} – ${podcast.name}` : episode.title;
+
+        this.shareRoute({
+            title: title,
+            text: time > 0 ? `${title} (from ${formatDuration(time)})` : title,
+            url: podcastId
+                ? getRouteUrl({ name: 'episode', podcastId: podcastId, guid: episode.guid, time: time })
+                : episode.audioUrl
+        }, button);
+    }
+
+    async shareRoute(data, button) {
+        try {
+            const result = await shareLink(data);
+            if (result === 'copied') {
+                announceToScreenReader('Link copied to clipboard');
+                if (button) {
+                    const label = button.textContent;
+                    button.textContent = 'Link Copied';
+                    setTimeout(() => {
+                        button.textContent = label;
+                    }, 2000);
+                }
+            }
+        } catch (error) {
+            console.error('Share error:', error);
+            this.showToast('Could not share this link.');
+        }
     }
 
     clearSearchResults() {
-        this.elements.searchResults.innerHTML = `
-            <div class="empty-state">
-                <p>Search for your favorite podcasts above</p>
-            </div>
-        `;
+        this.elements.searchResults.innerHTML = '';
+        this.elements.searchResults.classList.add('hidden');
+        this.elements.discover.classList.remove('hidden');
+
+        if (router.getCurrent().name === 'search') {
+            router.replace({ name: 'home' });
+        }
     }
 
     hideLoading() {
@@ -0,0 +1,213 @@
+const SILENCE_THRESHOLD_DB = -45;
+const SILENCE_MIN_DURATION = 300;
+const SILENCE_SPEED_MULTIPLIER = 2;
+const SILENCE_MAX_SPEED = 4;
+const SILENCE_CHECK_INTERVAL = 100;
+
+const DEFAULT_EFFECT_SETTINGS = {
+    trimSilence: false,
+    voiceBoost: false
+};
+
+// Routes the <audio> element through a Web Audio graph. The element is
+// loaded with crossorigin="anonymous", so every source that plays at all
+// is readable here and never comes out of the graph as silence.
+class AudioEffects {
+    constructor() {
+        this.context = null;
+        this.source = null;
+        this.nodes = null;
+        this.element = null;
+        this.settings = loadFromLocalStorage('podcastEffects', {});
+        this.timeSaved = loadFromLocalStorage('timeSaved', { total: 0, episodes: {} });
+        this.listeners = new Set();
+
+        this.monitor = null;
+        this.silentSince = 0;
+        this.accelerating = false;
+    }
+
+    onChange(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    notify() {
+        this.listeners.forEach(listener => {
+            try {
+                listener();
+            } catch (error) {
+                console.error('Audio effects listener error:', error);
+            }
+        });
+    }
+
+    isSupported() {
+        return Boolean(window.AudioContext || window.webkitAudioContext);
+    }
+
+    getSettings(podcastKey) {
+        return { ...DEFAULT_EFFECT_SETTINGS, ...(this.settings[podcastKey] || {}) };
+    }
+
+    setSetting(podcastKey, name, enabled) {
+        const settings = { ...this.getSettings(podcastKey), [name]: enabled };
+
+        if (Object.keys(settings).every(key => settings[key] === DEFAULT_EFFECT_SETTINGS[key])) {
+            delete this.settings[podcastKey];
+        } else {
+            this.settings[podcastKey] = settings;
+        }
+        saveToLocalStorage('podcastEffects', this.settings);
+    }
+
+    isActive(settings) {
+        return settings.trimSilence || settings.voiceBoost;
+    }
+
+    // Must run from a user-initiated play so the AudioContext is allowed to start
+    attach(audio) {
+        if (this.element === audio) return;
+
+        const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+        this.context = this.context || new AudioContextClass();
+        this.source = this.context.createMediaElementSource(audio);
+        this.element = audio;
+
+        const highpass = this.context.createBiquadFilter();
+        highpass.type = 'highpass';
+        highpass.frequency.value = 80;
+
+        const presence = this.context.createBiquadFilter();
+        presence.type = 'peaking';
+        presence.frequency.value = 3000;
+        presence.Q.value = 1;
+        presence.gain.value = 4;
+
+        const compressor = this.context.createDynamicsCompressor();
+        compressor.threshold.value = -30;
+        compressor.knee.value = 20;
+        compressor.ratio.value = 4;
+        compressor.attack.value = 0.005;
+        compressor.release.value = 0.25;
+
+        const gain = this.context.createGain();
+        gain.gain.value = 1.6;
+
+        const analyser = this.context.createAnalyser();
+        analyser.fftSize = 2048;
+
+        highpass.connect(presence);
+        presence.connect(compressor);
+        compressor.connect(gain);
+        gain.connect(this.context.destination);
+
+        this.nodes = { highpass, analyser, samples: new Float32Array(analyser.fftSize) };
+        this.source.connect(analyser);
+        this.source.connect(this.context.destination);
+    }
+
+    isAttached() {
+        return this.source !== null;
+    }
+
+    configure(settings) {
+        if (!this.isAttached()) return;
+
+        // Once attached the element always plays through the graph; with voice
+        // boost off it goes straight to the output.
+        this.source.disconnect();
+        this.source.connect(this.nodes.analyser);
+        this.source.connect(settings.voiceBoost ? this.nodes.highpass : this.context.destination);
+    }
+
+    resume() {
+        if (this.context && this.context.state === 'suspended') {
+            this.context.resume().catch(error => console.warn('Unable to resume audio context:', error));
+        }
+    }
+
+    getLevel() {
+        const { analyser, samples } = this.nodes;
+        analyser.getFloatTimeDomainData(samples);
+
+        let sum = 0;
+        for (let i = 0; i < samples.length; i++) {
+            sum += samples[i] * samples[i];
+        }
+        const rms = Math.sqrt(sum / samples.length);
+        return rms > 0 ? 20 * Math.log10(rms) : -Infinity;
+    }
+
+    // Plays silent stretches faster instead of cutting them, so the position
+    // stays accurate and nothing audible is lost at the edges.
+    startMonitoring(guid, getBaseRate) {
+        this.stopMonitoring();
+        if (!this.isAttached()) return;
+
+        let lastTick = performance.now();
+        this.monitor = setInterval(() => {
+            const now = performance.now();
+            const elapsed = (now - lastTick) / 1000;
+            lastTick = now;
+
+            const baseRate = getBaseRate();
+            if (this.accelerating) {
+                this.addTimeSaved(guid, elapsed * (this.element.playbackRate / baseRate - 1));
+            }
+
+            if (this.getLevel() < SILENCE_THRESHOLD_DB) {
+                this.silentSince = this.silentSince || now;
+                if (!this.accelerating && now - this.silentSince >= SILENCE_MIN_DURATION) {
+                    this.accelerating = true;
+                    this.element.playbackRate = Math.min(SILENCE_MAX_SPEED, baseRate * SILENCE_SPEED_MULTIPLIER);
+                }
+            } else {
+                this.silentSince = 0;
+                if (this.accelerating) {
+                    this.accelerating = false;
+                    this.element.playbackRate = baseRate;
+                    this.saveTimeSaved();
+                }
+            }
+        }, SILENCE_CHECK_INTERVAL);
+    }
+
+    stopMonitoring(baseRate = null) {
+        if (this.monitor) {
+            clearInterval(this.monitor);
+            this.monitor = null;
+        }
+
+        if (this.accelerating && baseRate) {
+            this.element.playbackRate = baseRate;
+        }
+        if (this.accelerating) {
+            this.saveTimeSaved();
+        }
+        this.accelerating = false;
+        this.silentSince = 0;
+    }
+
+    addTimeSaved(guid, seconds) {
+        if (seconds <= 0) return;
+
+        this.timeSaved.total += seconds;
+        this.timeSaved.episodes[guid] = (this.timeSaved.episodes[guid] || 0) + seconds;
+    }
+
+    saveTimeSaved() {
+        saveToLocalStorage('timeSaved', this.timeSaved);
+        this.notify();
+    }
+
+    getTimeSaved(guid) {
+        return this.timeSaved.episodes[guid] || 0;
+    }
+
+    getTotalTimeSaved() {
+        return this.timeSaved.total;
+    }
+}
+
+const audioEffects = new AudioEffects();
@@ -0,0 +1,268 @@
+const BACKUP_FORMAT = 'podcatcher-backup';
+const BACKUP_VERSION = 1;
+
+// localStorage keys holding user state. The API cache, the short-lived
+// appState, feedFetchStrategies (which describe this device's network) and
+// feedCredentials (so a backup file never holds passwords) are left out.
+const BACKUP_LOCAL_KEYS = {
+    settings: { label: 'Settings', type: 'object' },
+    keyboardShortcuts: { label: 'Keyboard shortcuts', type: 'object' },
+    upNext: { label: 'Up Next', type: 'object', merge: mergeQueueBackup },
+    currentEpisode: { label: 'Current episode', type: 'object', merge: current => current },
+    podcastSpeeds: { label: 'Per-podcast speeds', type: 'object' },
+    podcastEffects: { label: 'Audio effects', type: 'object' },
+    timeSaved: { label: 'Time saved', type: 'object', merge: mergeTimeSavedBackup },
+    searchHistory: { label: 'Search history', type: 'array', limit: SEARCH_HISTORY_LIMIT },
+    searchTitles: { label: 'Search suggestions', type: 'array', limit: SEARCH_TITLES_LIMIT },
+    searchOptions: { label: 'Search options', type: 'object' }
+};
+
+// IndexedDB stores and their key paths. Downloads and the API cache are
+// specific to this device and are not backed up.
+const BACKUP_STORES = {
+    subscriptions: { label: 'Followed podcasts', keyPath: 'id' },
+    feeds: { label: 'Feed sync state', keyPath: 'feedUrl' },
+    inbox: { label: 'New episodes', keyPath: 'id' },
+    episodeStates: { label: 'Episode progress', keyPath: 'guid' },
+    listeningSessions: { label: 'Listening history', keyPath: 'id' }
+};
+
+// BACKUP_MIGRATIONS[n] turns a version n backup into a version n + 1 one.
+// Add an entry whenever BACKUP_VERSION is bumped so older files keep restoring.
+const BACKUP_MIGRATIONS = {};
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+async function createBackup() {
+    const local = {};
+    Object.keys(BACKUP_LOCAL_KEYS).forEach(key => {
+        const value = loadFromLocalStorage(key, null);
+        if (value !== null) {
+            local[key] = value;
+        }
+    });
+
+    const stores = {};
+    for (const name of Object.keys(BACKUP_STORES)) {
+        stores[name] = await appDB.getAll(name);
+    }
+    // Conditional request validators only make sense with this browser's HTTP
+    // cache; records from older versions may still carry an etag
+    stores.feeds = stores.feeds.map(({ etag, lastModified, ...feed }) => feed);
+
+    return {
+        format: BACKUP_FORMAT,
+        version: BACKUP_VERSION,
+        appVersion: APP_VERSION,
+        createdAt: new Date().toISOString(),
+        local: local,
+        stores: stores
+    };
+}
+
+async function exportBackup() {
+    const backup = await createBackup();
+    downloadFile(`podcatcher-backup-${getDayKey(Date.now())}.json`, JSON.stringify(backup), 'application/json');
+    return backup;
+}
+
+function parseBackup(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (error) {
+        throw new Error('This file is not valid JSON');
+    }
+
+    // Listening history exports restore as a backup with only that section
+    if (isPlainObject(data) && data.type === 'listening-history' && Array.isArray(data.sessions)) {
+        data = {
+            format: BACKUP_FORMAT,
+            version: 1,
+            createdAt: data.exportedAt,
+            stores: { listeningSessions: data.sessions }
+        };
+    }
+
+    if (!isPlainObject(data) || data.format !== BACKUP_FORMAT) {
+        throw new Error('This file is not a Podcatcher backup');
+    }
+    if (!Number.isInteger(data.version) || data.version < 1) {
+        throw new Error('This backup has no valid version number');
+    }
+    if (data.version > BACKUP_VERSION) {
+        throw new Error('This backup was made by a newer version of Podcatcher. Update the app and try again.');
+    }
+
+    return validateBackup(migrateBackup(data));
+}
+
+function migrateBackup(data) {
+    let backup = data;
+
+    while (backup.version < BACKUP_VERSION) {
+        const migrate = BACKUP_MIGRATIONS[backup.version];
+        if (!migrate) {
+            throw new Error(`Backups from version ${backup.version} can no longer be restored`);
+        }
+        backup = { ...migrate(backup), version: backup.version + 1 };
+    }
+
+    return backup;
+}
+
+// A section of the wrong shape rejects the file; single damaged records are skipped and counted
+function validateBackup(backup) {
+    const local = isPlainObject(backup.local) ? backup.local : {};
+    const stores = isPlainObject(backup.stores) ? backup.stores : {};
+    const result = {
+        createdAt: backup.createdAt || null,
+        appVersion: backup.appVersion || '',
+        local: {},
+        stores: {},
+        skipped: 0
+    };
+
+    Object.keys(BACKUP_LOCAL_KEYS).forEach(key => {
+        const value = local[key];
+        if (value === undefined || value === null) return;
+
+        const { label, type } = BACKUP_LOCAL_KEYS[key];
+        if (type === 'array' ? !Array.isArray(value) : !isPlainObject(value)) {
+            throw new Error(`The "${label}" section of this backup is damaged`);
+        }
+        result.local[key] = value;
+    });
+
+    Object.keys(BACKUP_STORES).forEach(name => {
+        if (stores[name] === undefined) return;
+
+        const { label, keyPath } = BACKUP_STORES[name];
+        if (!Array.isArray(stores[name])) {
+            throw new Error(`The "${label}" section of this backup is damaged`);
+        }
+
+        result.stores[name] = stores[name].filter(record => {
+            const valid = isPlainObject(record) && typeof record[keyPath] === 'string' && record[keyPath] !== '';
+            if (!valid) result.skipped++;
+            return valid;
+        });
+    });
+
+    if (Object.keys(result.local).length === 0 && Object.keys(result.stores).length === 0) {
+        throw new Error('This backup is empty');
+    }
+
+    return result;
+}
+
+// When both sides have a record, this device's copy stays unless the backup's is newer
+function pickNewerRecord(current, incoming) {
+    if (!current) return incoming;
+    return (incoming.updatedAt || 0) > (current.updatedAt || 0) ? incoming : current;
+}
+
+function mergeLocalValue(current, incoming, type, limit) {
+    if (type === 'array') {
+        const seen = new Set();
+        return [...current, ...incoming]
+            .filter(item => {
+                const key = typeof item === 'string' ? item.toLowerCase() : JSON.stringify(item);
+                if (seen.has(key)) return false;
+                seen.add(key);
+                return true;
+            })
+            .slice(0, limit);
+    }
+    return { ...incoming, ...current };
+}
+
+function mergeQueueBackup(current, incoming) {
+    const mergeEntries = (mine, theirs, limit) => {
+        const entries = Array.isArray(mine) ? mine : [];
+        const guids = new Set(entries.map(entry => entry.episode && entry.episode.guid));
+        const added = (Array.isArray(theirs) ? theirs : []).filter(entry => entry.episode && !guids.has(entry.episode.guid));
+        return entries.concat(added).slice(0, limit);
+    };
+
+    return {
+        items: mergeEntries(current.items, incoming.items, Infinity),
+        history: mergeEntries(current.history, incoming.history, QUEUE_HISTORY_LIMIT)
+    };
+}
+
+function mergeTimeSavedBackup(current, incoming) {
+    const episodes = { ...incoming.episodes, ...current.episodes };
+    const sum = Object.values(episodes).reduce((total, seconds) => total + (Number(seconds) || 0), 0);
+    return {
+        total: Math.max(Number(current.total) || 0, Number(incoming.total) || 0, sum),
+        episodes: episodes
+    };
+}
+
+// Works out every write a restore would make, so it can be previewed before
+// anything changes. Replace only replaces the sections the backup contains.
+async function planRestore(backup, mode) {
+    const plan = { mode: mode, stores: [], local: [], skipped: backup.skipped };
+
+    for (const name of Object.keys(backup.stores)) {
+        const { label, keyPath } = BACKUP_STORES[name];
+        const incoming = backup.stores[name];
+        const existing = new Map((await appDB.getAll(name)).map(record => [record[keyPath], record]));
+        const incomingKeys = new Set(incoming.map(record => record[keyPath]));
+        const writes = mode === 'replace'
+            ? incoming
+            : incoming.filter(record => pickNewerRecord(existing.get(record[keyPath]), record) === record);
+
+        plan.stores.push({
+            name: name,
+            label: label,
+            total: incoming.length,
+            added: incoming.filter(record => !existing.has(record[keyPath])).length,
+            updated: writes.filter(record => existing.has(record[keyPath])).length,
+            removed: mode === 'replace' ? Array.from(existing.keys()).filter(key => !incomingKeys.has(key)).length : 0,
+            writes: writes
+        });
+    }
+
+    Object.keys(backup.local).forEach(key => {
+        const { label, type, merge, limit } = BACKUP_LOCAL_KEYS[key];
+        const current = loadFromLocalStorage(key, null);
+        const incoming = backup.local[key];
+
+        let value = incoming;
+        if (mode === 'merge' && current !== null) {
+            value = merge ? merge(current, incoming) : mergeLocalValue(current, incoming, type, limit);
+        }
+
+        plan.local.push({
+            key: key,
+            label: label,
+            value: value,
+            isNew: current === null,
+            changed: JSON.stringify(value) !== JSON.stringify(current)
+        });
+    });
+
+    return plan;
+}
+
+// All store writes share one transaction, so a failed restore leaves the database as it was
+async function applyRestore(plan) {
+    if (plan.stores.length > 0) {
+        await appDB.run(plan.stores.map(section => section.name), 'readwrite', stores => {
+            plan.stores.forEach((section, index) => {
+                if (plan.mode === 'replace') {
+                    stores[index].clear();
+                }
+                section.writes.forEach(record => stores[index].put(record));
+            });
+        });
+    }
+
+    plan.local
+        .filter(entry => entry.changed)
+        .forEach(entry => saveToLocalStorage(entry.key, entry.value));
+}
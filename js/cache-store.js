@@ -0,0 +1,287 @@
+// Keys are '<kind>:<id>', e.g. 'episodes:https://example.com/feed.xml'
+const CACHE_KINDS = {
+    search: 'Search results',
+    podcast: 'Podcast details',
+    channel: 'Feed details',
+    episodes: 'Episode lists',
+    popular: 'Top charts'
+};
+
+// Earlier versions cached the same data in localStorage under these prefixes
+const LEGACY_CACHE_PREFIXES = ['search_', 'podcast_', 'popular_', 'channel_', 'episodes_'];
+
+class CacheStore {
+    constructor() {
+        this.entries = new Map();
+        this.listeners = new Set();
+        this.ready = this.load();
+
+        settings.onChange((key) => {
+            if (key === 'cacheLimitMB') {
+                this.ready.then(() => this.evict(this.getLimitBytes())).then(() => this.notify());
+            }
+        });
+    }
+
+    async load() {
+        try {
+            const entries = await appDB.getAll('cacheEntries');
+            entries.forEach(entry => this.entries.set(entry.key, entry));
+            await this.migrateLocalStorage();
+        } catch (error) {
+            console.error('Error loading cache:', error);
+        }
+    }
+
+    onChange(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    notify() {
+        this.listeners.forEach(listener => {
+            try {
+                listener();
+            } catch (error) {
+                console.error('Cache listener error:', error);
+            }
+        });
+    }
+
+    getLimitBytes() {
+        return settings.get('cacheLimitMB') * 1024 * 1024;
+    }
+
+    getKind(key) {
+        return key.slice(0, key.indexOf(':'));
+    }
+
+    measure(value) {
+        return new Blob([JSON.stringify(value)]).size;
+    }
+
+    isQuotaError(error) {
+        return Boolean(error) && (error.name === 'QuotaExceededError' || error.name === 'NS_ERROR_DOM_QUOTA_REACHED');
+    }
+
+    async get(key, maxAge = Infinity) {
+        await this.ready;
+
+        const entry = this.entries.get(key);
+        if (!entry) return null;
+
+        if (Date.now() - entry.created > maxAge) {
+            this.delete(key);
+            return null;
+        }
+
+        try {
+            const record = await appDB.get('cacheValues', key);
+            if (!record) {
+                this.entries.delete(key);
+                return null;
+            }
+
+            entry.lastAccessed = Date.now();
+            appDB.put('cacheEntries', entry).catch(error => console.warn('Error updating cache entry:', error));
+
+            return record.value;
+        } catch (error) {
+            console.error('Error reading cache:', error);
+            return null;
+        }
+    }
+
+    // Never rejects: a failed write only means the next request goes to the network
+    async set(key, value, label = '') {
+        await this.ready;
+
+        const now = Date.now();
+        const entry = {
+            key: key,
+            kind: this.getKind(key),
+            label: label,
+            size: this.measure(value),
+            created: now,
+            lastAccessed: now
+        };
+
+        if (entry.size > this.getLimitBytes()) {
+            console.warn(`Not caching ${key}: larger than the cache limit`);
+            return false;
+        }
+
+        try {
+            await this.write(entry, value);
+            this.entries.set(key, entry);
+            await this.evict(this.getLimitBytes());
+            this.notify();
+            return true;
+        } catch (error) {
+            console.error('Error writing cache:', error);
+            return false;
+        }
+    }
+
+    async write(entry, value) {
+        const put = () => appDB.run(['cacheEntries', 'cacheValues'], 'readwrite', ([entries, values]) => {
+            entries.put(entry);
+            values.put({ key: entry.key, value: value });
+        });
+
+        try {
+            await put();
+        } catch (error) {
+            if (!this.isQuotaError(error)) throw error;
+
+            // The device is out of space: make room from the least recently used entries and retry once
+            await this.evict(Math.max(0, this.getTotalSize() - entry.size * 2));
+            await put();
+        }
+    }
+
+    getTotalSize() {
+        let total = 0;
+        this.entries.forEach(entry => {
+            total += entry.size;
+        });
+        return total;
+    }
+
+    // Removes least recently used entries until the cache fits in maxBytes
+    async evict(maxBytes) {
+        let total = this.getTotalSize();
+        if (total <= maxBytes) return;
+
+        const victims = [];
+        const byAge = Array.from(this.entries.values()).sort((a, b) => a.lastAccessed - b.lastAccessed);
+        for (const entry of byAge) {
+            if (total <= maxBytes) break;
+            victims.push(entry.key);
+            total -= entry.size;
+        }
+
+        await this.deleteKeys(victims);
+    }
+
+    async deleteKeys(keys) {
+        if (keys.length === 0) return;
+
+        keys.forEach(key => this.entries.delete(key));
+        try {
+            await appDB.run(['cacheEntries', 'cacheValues'], 'readwrite', ([entries, values]) => {
+                keys.forEach(key => {
+                    entries.delete(key);
+                    values.delete(key);
+                });
+            });
+        } catch (error) {
+            console.error('Error deleting cache entries:', error);
+        }
+    }
+
+    async delete(key) {
+        await this.deleteKeys([key]);
+        this.notify();
+    }
+
+    async clear(kind = null) {
+        await this.ready;
+
+        const keys = Array.from(this.entries.values())
+            .filter(entry => !kind || entry.kind === kind)
+            .map(entry => entry.key);
+
+        await this.deleteKeys(keys);
+        this.notify();
+    }
+
+    getSummary() {
+        const kinds = {};
+        Object.keys(CACHE_KINDS).forEach(kind => {
+            kinds[kind] = { count: 0, size: 0 };
+        });
+
+        this.entries.forEach(entry => {
+            if (!kinds[entry.kind]) {
+                kinds[entry.kind] = { count: 0, size: 0 };
+            }
+            kinds[entry.kind].count++;
+            kinds[entry.kind].size += entry.size;
+        });
+
+        return {
+            count: this.entries.size,
+            size: this.getTotalSize(),
+            limit: this.getLimitBytes(),
+            kinds: kinds
+        };
+    }
+
+    getLargestEntries(limit = 10) {
+        return Array.from(this.entries.values())
+            .sort((a, b) => b.size - a.size)
+            .slice(0, limit);
+    }
+
+    // Moves cached API responses out of localStorage, where they counted
+    // against its ~5 MB cap. Feed URLs in the old keys were base64 encoded.
+    // Old search and chart results are keyed differently now, so they are
+    // dropped rather than moved.
+    async migrateLocalStorage() {
+        const legacyKeys = Object.keys(localStorage).filter(key => LEGACY_CACHE_PREFIXES.some(prefix => key.startsWith(prefix)));
+        if (legacyKeys.length === 0) return;
+
+        for (const legacyKey of legacyKeys) {
+            try {
+                const migrated = this.readLegacyEntry(legacyKey);
+                if (migrated) {
+                    const entry = {
+                        key: migrated.key,
+                        kind: this.getKind(migrated.key),
+                        label: '',
+                        size: this.measure(migrated.value),
+                        created: migrated.timestamp,
+                        lastAccessed: migrated.timestamp
+                    };
+                    await this.write(entry, migrated.value);
+                    this.entries.set(entry.key, entry);
+                }
+            } catch (error) {
+                console.warn(`Could not migrate cached ${legacyKey}:`, error);
+            }
+        }
+
+        legacyKeys.forEach(key => localStorage.removeItem(key));
+        await this.evict(this.getLimitBytes());
+    }
+
+    readLegacyEntry(legacyKey) {
+        const separator = legacyKey.indexOf('_');
+        const kind = legacyKey.slice(0, separator);
+        let id = legacyKey.slice(separator + 1);
+
+        if (kind === 'search' || kind === 'popular') return null;
+
+        if (kind === 'episodes' || kind === 'channel') {
+            // Page keys ('episodes_<base64>_<n>') are read through their index entry
+            if (id.includes('_')) return null;
+            id = atob(id);
+        }
+
+        const data = loadFromLocalStorage(legacyKey, null);
+        if (!data || !data.timestamp) return null;
+
+        let value = data.value;
+        if (typeof data.pages === 'number') {
+            value = [];
+            for (let page = 0; page < data.pages; page++) {
+                value.push(...loadFromLocalStorage(`${legacyKey}_${page}`, []));
+            }
+        }
+
+        return value === undefined ? null : { key: `${kind}:${id}`, value: value, timestamp: data.timestamp };
+    }
+}
+
+const cacheStore = new CacheStore();
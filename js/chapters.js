@@ -0,0 +1,225 @@
+const ID3_HEADER_SIZE = 10;
+const ID3_MAX_TAG_BYTES = 5 * 1024 * 1024;
+
+const chapterCache = new Map();
+
+async function loadChapters(episode) {
+    if (!episode || !episode.guid) return [];
+
+    if (!chapterCache.has(episode.guid)) {
+        chapterCache.set(episode.guid, fetchChapters(episode).catch(error => {
+            console.warn('Error loading chapters:', error);
+            chapterCache.delete(episode.guid);
+            return [];
+        }));
+    }
+
+    return chapterCache.get(episode.guid);
+}
+
+async function fetchChapters(episode) {
+    let chapters = [];
+
+    if (episode.chaptersUrl) {
+        try {
+            chapters = await fetchJSONChapters(episode.chaptersUrl);
+        } catch (error) {
+            console.warn('JSON chapters unavailable, trying ID3:', error);
+        }
+    }
+
+    if (chapters.length === 0 && isMP3Episode(episode)) {
+        chapters = await fetchID3Chapters(episode.audioUrl);
+    }
+
+    return chapters
+        .filter(chapter => !isNaN(chapter.startTime))
+        .sort((a, b) => a.startTime - b.startTime);
+}
+
+function isMP3Episode(episode) {
+    return /mpeg|mp3/i.test(episode.type || '') || /\.mp3(\?|$)/i.test(episode.audioUrl || '');
+}
+
+function getChapterIndex(chapters, time) {
+    let index = -1;
+    for (let i = 0; i < chapters.length; i++) {
+        if (chapters[i].startTime > time) break;
+        index = i;
+    }
+    return index;
+}
+
+// https://github.com/Podcastindex-org/podcast-namespace/blob/main/chapters/jsonChapters.md
+async function fetchJSONChapters(url) {
+    const response = await podcastAPI.fetchWithFallback(url, { headers: { Accept: 'application/json+chapters, application/json' } });
+    if (!response.ok) {
+        throw new Error(`HTTP error! status: ${response.status}`);
+    }
+
+    const data = await response.json();
+    if (!data || !Array.isArray(data.chapters)) {
+        throw new Error('Invalid chapters file');
+    }
+
+    return data.chapters
+        // Chapters marked toc: false are metadata changes, not navigation points
+        .filter(chapter => chapter.toc !== false)
+        .map(chapter => ({
+            startTime: Number(chapter.startTime),
+            endTime: chapter.endTime !== undefined ? Number(chapter.endTime) : null,
+            title: chapter.title || '',
+            img: chapter.img || '',
+            url: chapter.url || ''
+        }));
+}
+
+async function readBytes(url, start, length) {
+    const response = await fetch(url, {
+        headers: { Range: `bytes=${start}-${start + length - 1}` }
+    });
+
+    if (response.status === 206) {
+        return new Uint8Array(await response.arrayBuffer());
+    }
+    if (!response.ok || !response.body) {
+        throw new Error(`Range request failed (status ${response.status})`);
+    }
+
+    // The server ignored the Range header; read from the start only as far as we need
+    const reader = response.body.getReader();
+    const bytes = new Uint8Array(start + length);
+    let received = 0;
+
+    while (received < bytes.length) {
+        const { done, value } = await reader.read();
+        if (done) break;
+
+        const chunk = value.subarray(0, bytes.length - received);
+        bytes.set(chunk, received);
+        received += chunk.length;
+    }
+    reader.cancel().catch(() => {});
+
+    return bytes.subarray(start, received);
+}
+
+function readSyncSafe(bytes, offset) {
+    return (bytes[offset] << 21) | (bytes[offset + 1] << 14) | (bytes[offset + 2] << 7) | bytes[offset + 3];
+}
+
+function readUint32(bytes, offset) {
+    return ((bytes[offset] << 24) | (bytes[offset + 1] << 16) | (bytes[offset + 2] << 8) | bytes[offset + 3]) >>> 0;
+}
+
+function readLatin1(bytes, start, end) {
+    return new TextDecoder('iso-8859-1').decode(bytes.subarray(start, end));
+}
+
+// Finds the null terminator for the given ID3 text encoding (UTF-16 uses two bytes)
+function findTerminator(bytes, start, encoding) {
+    const wide = encoding === 1 || encoding === 2;
+    for (let i = start; i < bytes.length; i += wide ? 2 : 1) {
+        if (bytes[i] === 0 && (!wide || bytes[i + 1] === 0)) {
+            return i;
+        }
+    }
+    return bytes.length;
+}
+
+function decodeID3Text(bytes, encoding) {
+    let label = ['iso-8859-1', 'utf-16le', 'utf-16be', 'utf-8'][encoding] || 'iso-8859-1';
+
+    if (encoding === 1 && bytes[0] === 0xFE && bytes[1] === 0xFF) {
+        label = 'utf-16be';
+    }
+
+    return new TextDecoder(label).decode(bytes).replace(/^\uFEFF/, '').replace(/\0+$/, '').trim();
+}
+
+function parseID3Frames(bytes, start, end, version, onFrame) {
+    let offset = start;
+
+    while (offset + ID3_HEADER_SIZE <= end) {
+        if (bytes[offset] === 0) break; // padding
+
+        const id = readLatin1(bytes, offset, offset + 4);
+        const size = version === 4 ? readSyncSafe(bytes, offset + 4) : readUint32(bytes, offset + 4);
+        const bodyStart = offset + ID3_HEADER_SIZE;
+        const bodyEnd = bodyStart + size;
+
+        if (size <= 0 || bodyEnd > end) break;
+
+        onFrame(id, bodyStart, bodyEnd);
+        offset = bodyEnd;
+    }
+}
+
+function parseCHAPFrame(bytes, start, end, version) {
+    const idEnd = findTerminator(bytes, start, 0);
+    const timesStart = idEnd + 1;
+    if (timesStart + 16 > end) return null;
+
+    const chapter = {
+        startTime: readUint32(bytes, timesStart) / 1000,
+        endTime: readUint32(bytes, timesStart + 4) / 1000,
+        title: '',
+        img: '',
+        url: ''
+    };
+
+    parseID3Frames(bytes, timesStart + 16, end, version, (id, bodyStart, bodyEnd) => {
+        const encoding = bytes[bodyStart];
+
+        if (id === 'TIT2') {
+            chapter.title = decodeID3Text(bytes.subarray(bodyStart + 1, bodyEnd), encoding);
+        } else if (id === 'WXXX') {
+            const descriptionEnd = findTerminator(bytes, bodyStart + 1, encoding);
+            const urlStart = descriptionEnd + (encoding === 1 || encoding === 2 ? 2 : 1);
+            chapter.url = readLatin1(bytes, urlStart, bodyEnd).replace(/\0+$/, '');
+        } else if (id === 'APIC') {
+            const mimeEnd = findTerminator(bytes, bodyStart + 1, 0);
+            const mimeType = readLatin1(bytes, bodyStart + 1, mimeEnd) || 'image/jpeg';
+            const descriptionEnd = findTerminator(bytes, mimeEnd + 2, encoding);
+            const dataStart = descriptionEnd + (encoding === 1 || encoding === 2 ? 2 : 1);
+            chapter.img = URL.createObjectURL(new Blob([bytes.slice(dataStart, bodyEnd)], { type: mimeType }));
+        }
+    });
+
+    return chapter;
+}
+
+async function fetchID3Chapters(audioUrl) {
+    const header = await readBytes(audioUrl, 0, ID3_HEADER_SIZE);
+    if (header.length < ID3_HEADER_SIZE || readLatin1(header, 0, 3) !== 'ID3') {
+        return [];
+    }
+
+    const version = header[3];
+    const flags = header[5];
+    const tagSize = readSyncSafe(header, 6);
+
+    // v2.2 has no CHAP frames and unsynchronised tags are too rare to be worth decoding
+    if (version < 3 || (flags & 0x80) || tagSize > ID3_MAX_TAG_BYTES) {
+        return [];
+    }
+
+    const tag = await readBytes(audioUrl, ID3_HEADER_SIZE, tagSize);
+    let offset = 0;
+
+    if (flags & 0x40) {
+        offset = version === 4 ? readSyncSafe(tag, 0) : readUint32(tag, 0) + 4;
+    }
+
+    const chapters = [];
+    parseID3Frames(tag, offset, tag.length, version, (id, bodyStart, bodyEnd) => {
+        if (id !== 'CHAP') return;
+
+        const chapter = parseCHAPFrame(tag, bodyStart, bodyEnd, version);
+        if (chapter) {
+            chapters.push(chapter);
+        }
+    });
+
+    return chapters;
+}
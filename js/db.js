@@ -0,0 +1,144 @@
+const DB_NAME = 'podcatcher';
+const DB_VERSION = 6;
+
+class PodcatcherDB {
+    constructor() {
+        this.dbPromise = null;
+    }
+
+    open() {
+        if (this.dbPromise) {
+            return this.dbPromise;
+        }
+
+        this.dbPromise = new Promise((resolve, reject) => {
+            if (!('indexedDB' in window)) {
+                reject(new Error('IndexedDB is not supported in this browser'));
+                return;
+            }
+
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+            request.onupgradeneeded = (event) => {
+                this.upgrade(request.result, event.oldVersion, request.transaction);
+            };
+
+            request.onsuccess = () => {
+                const db = request.result;
+
+                // Let a newer tab upgrade the schema instead of blocking it
+                db.onversionchange = () => {
+                    db.close();
+                    this.dbPromise = null;
+                };
+
+                resolve(db);
+            };
+
+            request.onerror = () => {
+                this.dbPromise = null;
+                reject(request.error);
+            };
+
+            request.onblocked = () => {
+                console.warn('Database upgrade blocked by another open tab');
+            };
+        });
+
+        return this.dbPromise;
+    }
+
+    upgrade(db, oldVersion, transaction) {
+        if (oldVersion < 1) {
+            const subscriptions = db.createObjectStore('subscriptions', { keyPath: 'id' });
+            subscriptions.createIndex('feedUrl', 'feedUrl', { unique: false });
+        }
+
+        if (oldVersion < 2) {
+            db.createObjectStore('feeds', { keyPath: 'feedUrl' });
+
+            const inbox = db.createObjectStore('inbox', { keyPath: 'id' });
+            inbox.createIndex('status', 'status', { unique: false });
+            inbox.createIndex('podcastId', 'podcastId', { unique: false });
+        }
+
+        if (oldVersion < 3) {
+            const episodeStates = db.createObjectStore('episodeStates', { keyPath: 'guid' });
+            episodeStates.createIndex('podcastId', 'podcastId', { unique: false });
+        }
+
+        if (oldVersion < 4) {
+            db.createObjectStore('downloads', { keyPath: 'guid' });
+        }
+
+        // Cache metadata is kept apart from the values so eviction and the
+        // Storage view never have to load large episode lists.
+        if (oldVersion < 5) {
+            db.createObjectStore('cacheEntries', { keyPath: 'key' });
+            db.createObjectStore('cacheValues', { keyPath: 'key' });
+        }
+
+        if (oldVersion < 6) {
+            db.createObjectStore('listeningSessions', { keyPath: 'id' });
+        }
+    }
+
+    async run(storeNames, mode, callback) {
+        const db = await this.open();
+
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(storeNames, mode);
+            let result;
+
+            transaction.oncomplete = () => resolve(result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+
+            const stores = Array.isArray(storeNames)
+                ? storeNames.map(name => transaction.objectStore(name))
+                : transaction.objectStore(storeNames);
+
+            const request = callback(stores, transaction);
+            if (request) {
+                request.onsuccess = () => {
+                    result = request.result;
+                };
+            }
+        });
+    }
+
+    get(storeName, key) {
+        return this.run(storeName, 'readonly', store => store.get(key));
+    }
+
+    getAll(storeName, indexName = null, query = null) {
+        return this.run(storeName, 'readonly', store => {
+            const source = indexName ? store.index(indexName) : store;
+            return source.getAll(query);
+        });
+    }
+
+    put(storeName, value) {
+        return this.run(storeName, 'readwrite', store => store.put(value));
+    }
+
+    putAll(storeName, values) {
+        return this.run(storeName, 'readwrite', store => {
+            values.forEach(value => store.put(value));
+        });
+    }
+
+    delete(storeName, key) {
+        return this.run(storeName, 'readwrite', store => store.delete(key));
+    }
+
+    clear(storeName) {
+        return this.run(storeName, 'readwrite', store => store.clear());
+    }
+
+    count(storeName) {
+        return this.run(storeName, 'readonly', store => store.count());
+    }
+}
+
+const appDB = new PodcatcherDB();
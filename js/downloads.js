@@ -0,0 +1,297 @@
+const EPISODE_CACHE_NAME = 'podcatcher-episodes';
+const DOWNLOAD_PROGRESS_INTERVAL = 500;
+
+class DownloadManager {
+    constructor() {
+        this.downloads = new Map();
+        this.active = new Map();
+        this.listeners = new Set();
+        this.objectUrl = null;
+        this.ready = this.load();
+
+        settings.onChange((key) => {
+            if (key === 'downloadQuotaMB') {
+                this.ready.then(() => this.enforceQuota());
+            }
+        });
+    }
+
+    async load() {
+        try {
+            const records = await appDB.getAll('downloads');
+            records.forEach(record => {
+                // A reload interrupts any in-flight download; drop the partial record
+                if (record.status === 'downloading') {
+                    appDB.delete('downloads', record.guid);
+                    return;
+                }
+                this.downloads.set(record.guid, record);
+            });
+        } catch (error) {
+            console.error('Error loading downloads:', error);
+        }
+    }
+
+    onChange(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    notify(type, record) {
+        this.listeners.forEach(listener => {
+            try {
+                listener(type, record);
+            } catch (error) {
+                console.error('Download listener error:', error);
+            }
+        });
+    }
+
+    isSupported() {
+        return 'caches' in window;
+    }
+
+    getQuotaBytes() {
+        return settings.get('downloadQuotaMB') * 1024 * 1024;
+    }
+
+    get(guid) {
+        return this.downloads.get(guid) || null;
+    }
+
+    isDownloaded(guid) {
+        const record = this.get(guid);
+        return Boolean(record && record.status === 'complete');
+    }
+
+    isDownloading(guid) {
+        return this.active.has(guid);
+    }
+
+    getAll() {
+        return Array.from(this.downloads.values())
+            .sort((a, b) => (b.downloadedAt || b.startedAt) - (a.downloadedAt || a.startedAt));
+    }
+
+    getUsedBytes() {
+        return this.getAll()
+            .filter(record => record.status === 'complete')
+            .reduce((total, record) => total + (record.size || 0), 0);
+    }
+
+    async getStorageEstimate() {
+        if (navigator.storage && navigator.storage.estimate) {
+            try {
+                return await navigator.storage.estimate();
+            } catch (error) {
+                console.warn('Storage estimate failed:', error);
+            }
+        }
+        return null;
+    }
+
+    async download(episode, podcast) {
+        if (!this.isSupported()) {
+            throw new Error('Downloads are not supported in this browser');
+        }
+        if (this.isDownloaded(episode.guid) || this.isDownloading(episode.guid)) {
+            return;
+        }
+
+        if (navigator.storage && navigator.storage.persist) {
+            navigator.storage.persist().catch(() => {});
+        }
+
+        const controller = new AbortController();
+        this.active.set(episode.guid, controller);
+
+        const record = {
+            guid: episode.guid,
+            podcastId: getPodcastKey(podcast),
+            episode: episode,
+            podcast: getPodcastRef(podcast),
+            status: 'downloading',
+            received: 0,
+            size: 0,
+            startedAt: Date.now(),
+            downloadedAt: null
+        };
+        this.downloads.set(episode.guid, record);
+        await appDB.put('downloads', record);
+        this.notify('change', record);
+
+        try {
+            const response = await fetch(episode.audioUrl, { signal: controller.signal });
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+
+            const blob = await this.readWithProgress(response, record);
+            const contentType = response.headers.get('Content-Type') || episode.type || 'audio/mpeg';
+
+            const cache = await caches.open(EPISODE_CACHE_NAME);
+            await cache.put(episode.audioUrl, new Response(blob, {
+                headers: {
+                    'Content-Type': contentType,
+                    'Content-Length': String(blob.size),
+                    'Accept-Ranges': 'bytes'
+                }
+            }));
+
+            const completed = {
+                ...record,
+                status: 'complete',
+                received: blob.size,
+                size: blob.size,
+                downloadedAt: Date.now()
+            };
+            this.downloads.set(episode.guid, completed);
+            await appDB.put('downloads', completed);
+            this.notify('change', completed);
+
+            await this.enforceQuota(episode.guid);
+        } catch (error) {
+            await this.discard(episode.guid);
+
+            if (error.name === 'AbortError') {
+                return;
+            }
+
+            console.error('Download error:', error);
+            if (error.name === 'QuotaExceededError') {
+                throw new Error('Not enough storage space to download this episode');
+            }
+            throw new Error('Download failed. The episode host may not allow offline copies.');
+        } finally {
+            this.active.delete(episode.guid);
+        }
+    }
+
+    async readWithProgress(response, record) {
+        const total = parseInt(response.headers.get('Content-Length'), 10) || 0;
+        record.size = total;
+
+        if (!response.body || !response.body.getReader) {
+            return response.blob();
+        }
+
+        const reader = response.body.getReader();
+        const chunks = [];
+        let lastNotify = 0;
+
+        while (true) {
+            const { done, value } = await reader.read();
+            if (done) break;
+
+            chunks.push(value);
+            record.received += value.length;
+
+            if (Date.now() - lastNotify >= DOWNLOAD_PROGRESS_INTERVAL) {
+                lastNotify = Date.now();
+                this.notify('progress', record);
+            }
+        }
+
+        return new Blob(chunks, { type: response.headers.get('Content-Type') || 'audio/mpeg' });
+    }
+
+    getProgress(guid) {
+        const record = this.get(guid);
+        if (!record || !record.size) return 0;
+        return Math.min(1, record.received / record.size);
+    }
+
+    cancel(guid) {
+        const controller = this.active.get(guid);
+        if (controller) {
+            controller.abort();
+        }
+    }
+
+    async discard(guid) {
+        const record = this.get(guid);
+        this.downloads.delete(guid);
+
+        try {
+            await appDB.delete('downloads', guid);
+            if (record && this.isSupported()) {
+                const cache = await caches.open(EPISODE_CACHE_NAME);
+                await cache.delete(record.episode.audioUrl);
+            }
+        } catch (error) {
+            console.error('Error removing download:', error);
+        }
+
+        this.notify('change', record);
+    }
+
+    async remove(guid) {
+        if (this.isDownloading(guid)) {
+            this.cancel(guid);
+            return;
+        }
+        await this.discard(guid);
+    }
+
+    async removeAll() {
+        const guids = Array.from(this.downloads.keys());
+        for (const guid of guids) {
+            await this.remove(guid);
+        }
+    }
+
+    // Evicts the oldest downloads until usage fits the configured cap,
+    // never touching the download that just finished or what is playing now.
+    async enforceQuota(keepGuid = null) {
+        const quota = this.getQuotaBytes();
+        if (quota <= 0) return;
+
+        const playingGuid = audioPlayer.getCurrentEpisode() ? audioPlayer.getCurrentEpisode().guid : null;
+        const candidates = this.getAll()
+            .filter(record => record.status === 'complete' && record.guid !== keepGuid && record.guid !== playingGuid)
+            .sort((a, b) => a.downloadedAt - b.downloadedAt);
+
+        let used = this.getUsedBytes();
+        for (const record of candidates) {
+            if (used <= quota) break;
+
+            await this.discard(record.guid);
+            used -= record.size;
+            announceToScreenReader(`Removed download ${record.episode.title} to stay under the storage limit`);
+        }
+    }
+
+    // The service worker serves cached episodes (with Range support) at their
+    // original URL; without a controlling worker we fall back to a blob URL.
+    async getPlaybackUrl(episode) {
+        if (this.objectUrl) {
+            URL.revokeObjectURL(this.objectUrl);
+            this.objectUrl = null;
+        }
+
+        if (!this.isDownloaded(episode.guid)) {
+            return episode.audioUrl;
+        }
+
+        if (navigator.serviceWorker && navigator.serviceWorker.controller) {
+            return episode.audioUrl;
+        }
+
+        try {
+            const cache = await caches.open(EPISODE_CACHE_NAME);
+            const response = await cache.match(episode.audioUrl);
+            if (!response) {
+                await this.discard(episode.guid);
+                return episode.audioUrl;
+            }
+
+            this.objectUrl = URL.createObjectURL(await response.blob());
+            return this.objectUrl;
+        } catch (error) {
+            console.error('Error reading downloaded episode:', error);
+            return episode.audioUrl;
+        }
+    }
+}
+
+const downloadManager = new DownloadManager();
@@ -0,0 +1,120 @@
+const DEFAULT_EPISODE_CRITERIA = {
+    query: '',
+    sort: 'newest',
+    year: '',
+    season: '',
+    type: '',
+    minDuration: 0,
+    maxDuration: 0,
+    groupBySeason: true
+};
+
+function getEpisodeTime(episode) {
+    const time = new Date(episode.pubDate).getTime();
+    return isNaN(time) ? 0 : time;
+}
+
+// Same-day releases (common for serial drops) fall back to the episode number
+function compareEpisodesByDate(a, b) {
+    return (getEpisodeTime(a) - getEpisodeTime(b)) || ((a.episodeNumber || 0) - (b.episodeNumber || 0));
+}
+
+const EPISODE_SORTS = {
+    newest: (a, b) => compareEpisodesByDate(b, a),
+    oldest: (a, b) => compareEpisodesByDate(a, b),
+    longest: (a, b) => (b.duration || 0) - (a.duration || 0),
+    shortest: (a, b) => (a.duration || 0) - (b.duration || 0)
+};
+
+function getEpisodeYear(episode) {
+    const time = getEpisodeTime(episode);
+    return time ? new Date(time).getFullYear() : null;
+}
+
+function getDefaultEpisodeSort(showType) {
+    return showType === 'serial' ? 'oldest' : 'newest';
+}
+
+function getEpisodeFacets(episodes) {
+    const years = new Set();
+    const seasons = new Map();
+    const types = new Set();
+
+    episodes.forEach(episode => {
+        const year = getEpisodeYear(episode);
+        if (year) years.add(year);
+
+        if (episode.season !== null && episode.season !== undefined) {
+            seasons.set(episode.season, seasons.get(episode.season) || episode.seasonName || '');
+        }
+
+        types.add(episode.episodeType || 'full');
+    });
+
+    return {
+        years: Array.from(years).sort((a, b) => b - a),
+        seasons: Array.from(seasons.entries())
+            .map(([number, name]) => ({ number, name }))
+            .sort((a, b) => a.number - b.number),
+        types: Array.from(types)
+    };
+}
+
+function filterEpisodes(episodes, criteria) {
+    const terms = criteria.query.toLowerCase().split(/\s+/).filter(Boolean);
+
+    return episodes.filter(episode => {
+        if (terms.length > 0) {
+            const text = `${episode.title} ${episode.description}`.toLowerCase();
+            if (!terms.every(term => text.includes(term))) return false;
+        }
+
+        if (criteria.year && String(getEpisodeYear(episode)) !== criteria.year) return false;
+        if (criteria.season && String(episode.season) !== criteria.season) return false;
+        if (criteria.type && (episode.episodeType || 'full') !== criteria.type) return false;
+
+        // Episodes without a known duration cannot satisfy a duration filter
+        if (criteria.minDuration && !(episode.duration >= criteria.minDuration * 60)) return false;
+        if (criteria.maxDuration && !(episode.duration > 0 && episode.duration <= criteria.maxDuration * 60)) return false;
+
+        return true;
+    });
+}
+
+function sortEpisodes(episodes, sort) {
+    return [...episodes].sort(EPISODE_SORTS[sort] || EPISODE_SORTS.newest);
+}
+
+// Groups in order of first appearance, so the sort order also orders the seasons
+function groupEpisodesBySeason(episodes) {
+    const groups = new Map();
+
+    episodes.forEach(episode => {
+        const hasSeason = episode.season !== null && episode.season !== undefined;
+        const key = hasSeason ? episode.season : 'none';
+
+        if (!groups.has(key)) {
+            groups.set(key, {
+                label: hasSeason
+                    ? (episode.seasonName ? `Season ${episode.season}: ${episode.seasonName}` : `Season ${episode.season}`)
+                    : 'Other Episodes',
+                episodes: []
+            });
+        }
+        groups.get(key).episodes.push(episode);
+    });
+
+    return Array.from(groups.values());
+}
+
+// Returns display-ready groups; ungrouped results come back as a single unlabeled group
+function applyEpisodeCriteria(episodes, criteria) {
+    const sorted = sortEpisodes(filterEpisodes(episodes, criteria), criteria.sort);
+    const hasSeasons = sorted.some(episode => episode.season !== null && episode.season !== undefined);
+    const chronological = criteria.sort === 'newest' || criteria.sort === 'oldest';
+
+    if (criteria.groupBySeason && hasSeasons && chronological && !criteria.season) {
+        return groupEpisodesBySeason(sorted);
+    }
+    return [{ label: '', episodes: sorted }];
+}
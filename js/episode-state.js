@@ -0,0 +1,156 @@
+const POSITION_SAVE_INTERVAL = 5000;
+
+class EpisodeStateStore {
+    constructor() {
+        this.states = new Map();
+        this.listeners = new Set();
+        this.lastWrite = new Map();
+        this.ready = this.load();
+    }
+
+    async load() {
+        try {
+            const records = await appDB.getAll('episodeStates');
+            records.forEach(record => this.states.set(record.guid, record));
+        } catch (error) {
+            console.error('Error loading episode states:', error);
+        }
+    }
+
+    onChange(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    notify(podcastId) {
+        this.listeners.forEach(listener => {
+            try {
+                listener(podcastId);
+            } catch (error) {
+                console.error('Episode state listener error:', error);
+            }
+        });
+    }
+
+    getPlayedThreshold() {
+        return settings.get('playedThreshold');
+    }
+
+    get(guid) {
+        return this.states.get(guid) || null;
+    }
+
+    isPlayed(guid) {
+        const state = this.get(guid);
+        return Boolean(state && state.played);
+    }
+
+    getResumePosition(guid) {
+        const state = this.get(guid);
+        if (!state || state.played) return 0;
+        return state.position || 0;
+    }
+
+    getProgress(guid) {
+        const state = this.get(guid);
+        if (!state || state.played || !state.duration || !state.position) return 0;
+        return Math.min(1, state.position / state.duration);
+    }
+
+    createState(guid, podcastId) {
+        return {
+            guid: guid,
+            podcastId: podcastId || '',
+            position: 0,
+            duration: 0,
+            played: false,
+            completedAt: null,
+            updatedAt: Date.now()
+        };
+    }
+
+    async persist(states) {
+        try {
+            await appDB.putAll('episodeStates', states);
+        } catch (error) {
+            console.error('Error saving episode state:', error);
+        }
+    }
+
+    // Called on every timeupdate; memory is always current but IndexedDB
+    // writes are throttled unless `force` is set (pause, episode change).
+    updatePosition(episode, podcastId, position, duration, force = false) {
+        if (!episode || !episode.guid) return;
+
+        const existing = this.get(episode.guid) || this.createState(episode.guid, podcastId);
+        const state = {
+            ...existing,
+            podcastId: existing.podcastId || podcastId || '',
+            position: position,
+            duration: duration || existing.duration,
+            updatedAt: Date.now()
+        };
+        this.states.set(episode.guid, state);
+
+        const threshold = this.getPlayedThreshold();
+        if (!state.played && state.duration > 0 && (position / state.duration) * 100 >= threshold) {
+            this.markPlayed([episode.guid], state.podcastId);
+            return;
+        }
+
+        const lastWrite = this.lastWrite.get(episode.guid) || 0;
+        if (force || Date.now() - lastWrite >= POSITION_SAVE_INTERVAL) {
+            this.lastWrite.set(episode.guid, Date.now());
+            this.persist([state]);
+        }
+    }
+
+    async markPlayed(guids, podcastId = '') {
+        const now = Date.now();
+        const changed = guids
+            .filter(guid => guid && !this.isPlayed(guid))
+            .map(guid => ({
+                ...(this.get(guid) || this.createState(guid, podcastId)),
+                played: true,
+                position: 0,
+                completedAt: now,
+                updatedAt: now
+            }));
+
+        if (changed.length === 0) return;
+
+        changed.forEach(state => this.states.set(state.guid, state));
+        await this.persist(changed);
+        this.notify(podcastId);
+    }
+
+    async markUnplayed(guids, podcastId = '') {
+        const now = Date.now();
+        const changed = guids
+            .filter(guid => this.isPlayed(guid))
+            .map(guid => ({
+                ...this.get(guid),
+                played: false,
+                completedAt: null,
+                updatedAt: now
+            }));
+
+        if (changed.length === 0) return;
+
+        changed.forEach(state => this.states.set(state.guid, state));
+        await this.persist(changed);
+        this.notify(podcastId);
+    }
+
+    markAllPlayed(episodes, podcastId) {
+        return this.markPlayed(episodes.map(episode => episode.guid), podcastId);
+    }
+
+    markOlderPlayed(episodes, referenceEpisode, podcastId) {
+        const cutoff = new Date(referenceEpisode.pubDate).getTime();
+        const older = episodes.filter(episode => new Date(episode.pubDate).getTime() < cutoff);
+        return this.markPlayed(older.map(episode => episode.guid), podcastId);
+    }
+}
+
+const episodeStateStore = new EpisodeStateStore();
@@ -0,0 +1,498 @@
+// Parses RSS feeds in a Web Worker. DOMParser is not available here, so the
+// XML is read by a small streaming tokenizer instead: the page posts the
+// response body in chunks as it arrives, and each <item> is turned into an
+// episode as soon as it closes, so only one item is ever held as a tree.
+//
+// Messages in:  { id, type: 'chunk', text }, { id, type: 'end' }, { id, type: 'abort' }
+// Messages out: { id, podcast, episodes } or { id, error }
+
+const XML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: '\'' };
+
+// The named entities show notes use most; anything else is left as written
+const HTML_ENTITIES = {
+    ...XML_ENTITIES,
+    nbsp: ' ', hellip: '…', mdash: '—', ndash: '–', lsquo: '‘', rsquo: '’',
+    ldquo: '“', rdquo: '”', bull: '•', middot: '·', copy: '©', reg: '®', trade: '™'
+};
+
+// Long enough to tell '<![CDATA[' from '<!DOCTYPE' and '<!--' at the end of a chunk
+const MARKUP_LOOKAHEAD = 9;
+
+function decodeEntities(text, entities) {
+    if (!text.includes('&')) return text;
+
+    return text.replace(/&(#x[0-9a-f]+|#[0-9]+|[a-z][a-z0-9]*);/gi, (match, name) => {
+        if (name[0] === '#') {
+            const code = name[1] === 'x' || name[1] === 'X' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10);
+            return code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : match;
+        }
+        return entities[name] !== undefined ? entities[name] : match;
+    });
+}
+
+// The worker's stand-in for stripHtml(): the text of an HTML fragment
+function stripTags(html) {
+    if (!html) return '';
+
+    return decodeEntities(html.replace(/<!--[\s\S]*?-->/g, '').replace(/<[^>]*>/g, ''), HTML_ENTITIES);
+}
+
+function isValidUrl(string) {
+    try {
+        new URL(string);
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+// Push tokenizer: write() may be called with any slice of the document;
+// markup cut off at the end of a chunk waits in the buffer for the next one.
+class XmlTokenizer {
+    constructor(handler) {
+        this.handler = handler;
+        this.buffer = '';
+    }
+
+    write(chunk) {
+        this.buffer += chunk;
+        this.drain(false);
+    }
+
+    close() {
+        this.drain(true);
+        this.buffer = '';
+    }
+
+    drain(final) {
+        const buffer = this.buffer;
+        let position = 0;
+
+        while (position < buffer.length) {
+            const start = buffer.indexOf('<', position);
+            if (start === -1) {
+                if (final) {
+                    this.handler.onText(decodeEntities(buffer.slice(position), XML_ENTITIES));
+                    position = buffer.length;
+                }
+                break;
+            }
+
+            if (start > position) {
+                this.handler.onText(decodeEntities(buffer.slice(position, start), XML_ENTITIES));
+                position = start;
+            }
+
+            if (!final && buffer.length - start < MARKUP_LOOKAHEAD) break;
+
+            const end = this.readMarkup(buffer, start);
+            if (end === -1) {
+                if (final) {
+                    position = buffer.length;
+                }
+                break;
+            }
+            position = end;
+        }
+
+        this.buffer = buffer.slice(position);
+    }
+
+    // Handles the markup starting at `start` and returns where it ends, or -1 if it is incomplete
+    readMarkup(buffer, start) {
+        if (buffer.startsWith('<!--', start)) {
+            const end = buffer.indexOf('-->', start + 4);
+            return end === -1 ? -1 : end + 3;
+        }
+
+        if (buffer.startsWith('<![CDATA[', start)) {
+            const end = buffer.indexOf(']]>', start + 9);
+            if (end === -1) return -1;
+            this.handler.onText(buffer.slice(start + 9, end));
+            return end + 3;
+        }
+
+        if (buffer.startsWith('<?', start)) {
+            const end = buffer.indexOf('?>', start + 2);
+            return end === -1 ? -1 : end + 2;
+        }
+
+        // <!DOCTYPE ...>, which may carry an internal subset in brackets
+        if (buffer.startsWith('<!', start)) {
+            let depth = 0;
+            for (let i = start + 2; i < buffer.length; i++) {
+                if (buffer[i] === '[') depth++;
+                else if (buffer[i] === ']') depth--;
+                else if (buffer[i] === '>' && depth <= 0) return i + 1;
+            }
+            return -1;
+        }
+
+        const end = this.findTagEnd(buffer, start + 1);
+        if (end === -1) return -1;
+
+        this.readTag(buffer.slice(start + 1, end));
+        return end + 1;
+    }
+
+    // A '>' inside a quoted attribute value does not end the tag
+    findTagEnd(buffer, from) {
+        let quote = null;
+        for (let i = from; i < buffer.length; i++) {
+            const char = buffer[i];
+            if (quote) {
+                if (char === quote) quote = null;
+            } else if (char === '"' || char === '\'') {
+                quote = char;
+            } else if (char === '>') {
+                return i;
+            }
+        }
+        return -1;
+    }
+
+    readTag(body) {
+        if (body[0] === '/') {
+            this.handler.onClose(body.slice(1).trim());
+            return;
+        }
+
+        const selfClosing = body.endsWith('/');
+        const source = selfClosing ? body.slice(0, -1) : body;
+        const name = (source.match(/^[^\s/>]+/) || [''])[0];
+        if (!name) return;
+
+        const attributes = {};
+        const pattern = /([^\s=]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+        let match;
+        while ((match = pattern.exec(source.slice(name.length))) !== null) {
+            attributes[match[1]] = decodeEntities(match[2] !== undefined ? match[2] : match[3], XML_ENTITIES);
+        }
+
+        this.handler.onOpen(name, attributes);
+        if (selfClosing) {
+            this.handler.onClose(name);
+        }
+    }
+}
+
+// Lightweight stand-ins for DOM elements: { name, attributes, children },
+// where children are elements or strings
+function getAttribute(element, name) {
+    return element.attributes[name] !== undefined ? element.attributes[name] : null;
+}
+
+function getTextContent(element) {
+    return element.children
+        .map(child => (typeof child === 'string' ? child : getTextContent(child)))
+        .join('');
+}
+
+// Depth-first, like querySelector()
+function findElement(element, name, test = () => true) {
+    for (const child of element.children) {
+        if (typeof child === 'string') continue;
+        if (child.name === name && test(child)) return child;
+
+        const found = findElement(child, name, test);
+        if (found) return found;
+    }
+    return null;
+}
+
+function findElements(element, name, found = []) {
+    element.children.forEach(child => {
+        if (typeof child === 'string') return;
+        if (child.name === name) found.push(child);
+        findElements(child, name, found);
+    });
+    return found;
+}
+
+function findText(element, name) {
+    const found = findElement(element, name);
+    return found ? getTextContent(found).trim() : '';
+}
+
+// Only direct children, so item-level tags of the same name are ignored
+function getChildElements(parent, name) {
+    return parent.children.filter(child => typeof child !== 'string' && child.name === name);
+}
+
+function getChildElement(parent, name) {
+    return getChildElements(parent, name)[0] || null;
+}
+
+function getChildText(parent, name) {
+    const child = getChildElement(parent, name);
+    return child ? getTextContent(child).trim() : '';
+}
+
+function parseNumber(text) {
+    const value = parseFloat((text || '').trim());
+    return isNaN(value) ? null : value;
+}
+
+function parseDuration(durationStr) {
+    if (!durationStr) return 0;
+
+    const timePattern = /(\d+):(\d+):(\d+)/;
+    const shortPattern = /(\d+):(\d+)/;
+    const numberPattern = /^\d+$/;
+
+    if (numberPattern.test(durationStr)) {
+        return parseInt(durationStr, 10);
+    }
+
+    if (timePattern.test(durationStr)) {
+        const [, hours, minutes, seconds] = durationStr.match(timePattern);
+        return parseInt(hours, 10) * 3600 + parseInt(minutes, 10) * 60 + parseInt(seconds, 10);
+    }
+
+    if (shortPattern.test(durationStr)) {
+        const [, minutes, seconds] = durationStr.match(shortPattern);
+        return parseInt(minutes, 10) * 60 + parseInt(seconds, 10);
+    }
+
+    return 0;
+}
+
+function parsePersons(nodes) {
+    return nodes
+        .map(node => ({
+            name: getTextContent(node).trim(),
+            role: (getAttribute(node, 'role') || 'host').toLowerCase(),
+            group: (getAttribute(node, 'group') || 'cast').toLowerCase(),
+            img: getAttribute(node, 'img') || '',
+            href: getAttribute(node, 'href') || ''
+        }))
+        .filter(person => person.name);
+}
+
+function parseFunding(nodes) {
+    return nodes
+        .map(node => ({
+            url: getAttribute(node, 'url') || '',
+            title: getTextContent(node).trim() || 'Support this show'
+        }))
+        .filter(funding => isValidUrl(funding.url));
+}
+
+function parseTranscripts(item) {
+    return findElements(item, 'podcast:transcript')
+        .map(node => ({
+            url: getAttribute(node, 'url') || '',
+            type: getAttribute(node, 'type') || '',
+            language: getAttribute(node, 'language') || '',
+            rel: getAttribute(node, 'rel') || ''
+        }))
+        .filter(transcript => transcript.url);
+}
+
+function parseSoundbites(item) {
+    return findElements(item, 'podcast:soundbite')
+        .map(node => ({
+            startTime: parseFloat(getAttribute(node, 'startTime')),
+            duration: parseFloat(getAttribute(node, 'duration')),
+            title: getTextContent(node).trim()
+        }))
+        .filter(soundbite => !isNaN(soundbite.startTime) && soundbite.duration > 0);
+}
+
+// Podcasting 2.0 tags (https://podcastindex.org/namespace/1.0)
+function parsePodcastNamespace(item) {
+    const chapters = findElement(item, 'podcast:chapters');
+    const season = findElement(item, 'podcast:season');
+    const episodeNumber = findElement(item, 'podcast:episode');
+
+    return {
+        chaptersUrl: chapters ? getAttribute(chapters, 'url') || '' : '',
+        chaptersType: chapters ? getAttribute(chapters, 'type') || 'application/json+chapters' : '',
+        transcripts: parseTranscripts(item),
+        persons: parsePersons(findElements(item, 'podcast:person')),
+        funding: parseFunding(findElements(item, 'podcast:funding')),
+        season: season ? parseNumber(getTextContent(season)) : null,
+        seasonName: season ? getAttribute(season, 'name') || '' : '',
+        episodeNumber: episodeNumber ? parseNumber(getTextContent(episodeNumber)) : null,
+        episodeDisplay: episodeNumber ? getAttribute(episodeNumber, 'display') || '' : '',
+        soundbites: parseSoundbites(item)
+    };
+}
+
+function getImageUrl(item) {
+    const itunesImage = findElement(item, 'itunes:image');
+    const mediaContent = findElement(item, 'media:content', node => getAttribute(node, 'medium') === 'image');
+    const enclosure = findElement(item, 'enclosure', node => (getAttribute(node, 'type') || '').startsWith('image'));
+
+    return (itunesImage && getAttribute(itunesImage, 'href'))
+        || (mediaContent && getAttribute(mediaContent, 'url'))
+        || (enclosure && getAttribute(enclosure, 'url'))
+        || '';
+}
+
+function parseEpisodeItem(item) {
+    const title = findText(item, 'title');
+    const description = findText(item, 'description') || findText(item, 'itunes:summary');
+    const content = findText(item, 'content:encoded');
+    const enclosure = findElement(item, 'enclosure');
+    const audioUrl = enclosure ? getAttribute(enclosure, 'url') : '';
+
+    if (!title || !audioUrl) {
+        console.warn('Skipping episode - missing title or audio URL');
+        return null;
+    }
+
+    const namespace = parsePodcastNamespace(item);
+
+    return {
+        title: stripTags(title),
+        description: stripTags(description),
+        // Raw show notes; sanitized only when displayed
+        notesHtml: content || description,
+        audioUrl: audioUrl,
+        pubDate: findText(item, 'pubDate'),
+        duration: parseDuration(findText(item, 'itunes:duration') || findText(item, 'duration')),
+        artwork: getImageUrl(item),
+        guid: findText(item, 'guid') || audioUrl,
+        type: getAttribute(enclosure, 'type'),
+        ...namespace,
+        // podcast:season / podcast:episode win; the iTunes tags are the common fallback
+        season: namespace.season !== null ? namespace.season : parseNumber(findText(item, 'itunes:season')),
+        episodeNumber: namespace.episodeNumber !== null ? namespace.episodeNumber : parseNumber(findText(item, 'itunes:episode')),
+        episodeType: (findText(item, 'itunes:episodeType') || 'full').toLowerCase()
+    };
+}
+
+// Builds a podcast object from the feed itself, for feeds that did not
+// come from an iTunes lookup (OPML imports, pasted feed URLs). The page
+// fills in the feed URL.
+function parseChannel(channel) {
+    const itunesImage = getChildElement(channel, 'itunes:image');
+    const rssImage = getChildElement(channel, 'image');
+    const category = getChildElement(channel, 'itunes:category');
+
+    const artwork = (itunesImage && getAttribute(itunesImage, 'href'))
+        || (rssImage && findText(rssImage, 'url'))
+        || '';
+
+    return {
+        id: '',
+        name: getChildText(channel, 'title') || 'Unknown Podcast',
+        description: stripTags(getChildText(channel, 'description') || getChildText(channel, 'itunes:summary')),
+        artwork: artwork,
+        feedUrl: '',
+        artistName: getChildText(channel, 'itunes:author') || getChildText(channel, 'managingEditor') || 'Unknown Artist',
+        trackCount: 0,
+        primaryGenreName: (category && getAttribute(category, 'text')) || 'Podcast',
+        country: '',
+        releaseDate: '',
+        language: getChildText(channel, 'language'),
+        link: getChildText(channel, 'link'),
+        // 'serial' shows are meant to be heard in order, oldest first
+        showType: (getChildText(channel, 'itunes:type') || 'episodic').toLowerCase(),
+        persons: parsePersons(getChildElements(channel, 'podcast:person')),
+        funding: parseFunding(getChildElements(channel, 'podcast:funding'))
+    };
+}
+
+// Keeps the channel's own tags as a tree; items are converted and dropped as they close
+class FeedParser {
+    constructor() {
+        this.tokenizer = new XmlTokenizer(this);
+        this.stack = [];
+        this.channel = null;
+        this.item = null;
+        this.episodes = [];
+    }
+
+    write(text) {
+        this.tokenizer.write(text);
+    }
+
+    onOpen(name, attributes) {
+        const element = { name, attributes, children: [] };
+        const parent = this.stack[this.stack.length - 1];
+
+        if (name === 'channel' && !this.channel) {
+            this.channel = element;
+        } else if (name === 'item' && this.channel && !this.item) {
+            this.item = element;
+        } else if (parent && (this.item || this.channel)) {
+            parent.children.push(element);
+        }
+
+        this.stack.push(element);
+    }
+
+    onText(text) {
+        const element = this.stack[this.stack.length - 1];
+        if (!element || !(this.item || this.channel)) return;
+        // Whitespace between the channel's tags would only pile up next to the items
+        if (element === this.channel && !text.trim()) return;
+
+        element.children.push(text);
+    }
+
+    // Tolerates a stray or missing end tag by closing up to the nearest match
+    onClose(name) {
+        const index = this.stack.map(element => element.name).lastIndexOf(name);
+        if (index === -1) return;
+
+        this.stack.splice(index).forEach(element => {
+            if (element !== this.item) return;
+
+            this.item = null;
+            try {
+                const episode = parseEpisodeItem(element);
+                if (episode) {
+                    this.episodes.push(episode);
+                }
+            } catch (error) {
+                console.warn(`Error parsing episode ${this.episodes.length}:`, error);
+            }
+        });
+    }
+
+    close() {
+        this.tokenizer.close();
+
+        if (!this.channel) {
+            throw new Error('Failed to parse RSS feed: no channel element');
+        }
+
+        return {
+            podcast: parseChannel(this.channel),
+            episodes: this.episodes.sort((a, b) => new Date(b.pubDate) - new Date(a.pubDate))
+        };
+    }
+}
+
+const feedParsers = new Map();
+
+self.addEventListener('message', event => {
+    const { id, type, text } = event.data;
+    const parser = feedParsers.has(id) ? feedParsers.get(id) : new FeedParser();
+
+    // A feed that already failed has reported its error; later chunks are dropped
+    if (parser === null) {
+        if (type !== 'chunk') feedParsers.delete(id);
+        return;
+    }
+
+    try {
+        if (type === 'chunk') {
+            feedParsers.set(id, parser);
+            parser.write(text);
+        } else if (type === 'end') {
+            feedParsers.delete(id);
+            const { podcast, episodes } = parser.close();
+            self.postMessage({ id, podcast, episodes });
+        } else {
+            feedParsers.delete(id);
+        }
+    } catch (error) {
+        feedParsers.set(id, null);
+        if (type === 'end') feedParsers.delete(id);
+        self.postMessage({ id, error: error.message });
+    }
+});
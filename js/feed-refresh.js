@@ -0,0 +1,242 @@
+const INBOX_RETENTION_MS = 30 * 24 * 60 * 60 * 1000;
+const REFRESH_CONCURRENCY = 3;
+
+class FeedRefresher {
+    constructor() {
+        this.listeners = new Set();
+        this.refreshTimer = null;
+        this.refreshing = null;
+        this.lastRefresh = 0;
+
+        settings.onChange((key) => {
+            if (key === 'refreshInterval') {
+                this.schedule();
+            }
+        });
+    }
+
+    onChange(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    notify() {
+        this.listeners.forEach(listener => {
+            try {
+                listener();
+            } catch (error) {
+                console.error('Feed refresh listener error:', error);
+            }
+        });
+    }
+
+    getRefreshInterval() {
+        return settings.get('refreshInterval');
+    }
+
+    schedule() {
+        clearInterval(this.refreshTimer);
+        this.refreshTimer = null;
+
+        const minutes = this.getRefreshInterval();
+        if (minutes > 0) {
+            this.refreshTimer = setInterval(() => this.refreshAll(), minutes * 60000);
+        }
+    }
+
+    async start() {
+        await subscriptionManager.ready;
+        this.schedule();
+        return this.refreshAll();
+    }
+
+    refreshAll() {
+        // Coalesce overlapping refreshes (interval firing during a manual refresh)
+        if (this.refreshing) {
+            return this.refreshing;
+        }
+
+        this.refreshing = this.runRefresh().finally(() => {
+            this.refreshing = null;
+        });
+
+        return this.refreshing;
+    }
+
+    async runRefresh() {
+        const subscriptions = subscriptionManager.getAll().filter(subscription => subscription.feedUrl);
+        const queue = [...subscriptions];
+        let newCount = 0;
+        let failed = 0;
+
+        const worker = async () => {
+            while (queue.length > 0) {
+                const subscription = queue.shift();
+                try {
+                    newCount += await this.refreshSubscription(subscription);
+                } catch (error) {
+                    failed++;
+                    console.warn(`Feed refresh failed for ${subscription.name}:`, error);
+                }
+            }
+        };
+
+        const workers = Array.from({ length: Math.min(REFRESH_CONCURRENCY, queue.length) }, worker);
+        await Promise.all(workers);
+
+        await this.pruneInbox();
+        this.lastRefresh = Date.now();
+        this.notify();
+
+        return { newCount, failed, total: subscriptions.length };
+    }
+
+    async refreshSubscription(subscription) {
+        const feedState = await appDB.get('feeds', subscription.feedUrl);
+
+        let result;
+        try {
+            result = await podcastAPI.fetchFeed(subscription.feedUrl, feedState || {});
+        } catch (error) {
+            // Without a successful first sync there are no seen episodes to
+            // record; a record here would make the next sync treat the whole
+            // back catalogue as new.
+            if (feedState && this.isFollowed(subscription)) {
+                await appDB.put('feeds', {
+                    ...feedState,
+                    podcastId: subscription.id,
+                    lastChecked: Date.now(),
+                    lastError: extractErrorMessage(error)
+                });
+            }
+            throw error;
+        }
+
+        // Unfollowed while the feed was loading: forgetPodcast() has already
+        // removed its rows, and writing them now would leave orphans behind
+        if (!this.isFollowed(subscription)) {
+            return 0;
+        }
+
+        if (!result.modified) {
+            await appDB.put('feeds', { ...feedState, lastChecked: Date.now(), lastError: null });
+            return 0;
+        }
+
+        const episodes = result.episodes;
+        const seen = new Set(feedState ? feedState.seenGuids : []);
+
+        // On the first sync only episodes released after following count as new,
+        // otherwise a freshly followed show would flood the inbox with its back catalogue.
+        const newEpisodes = feedState
+            ? episodes.filter(episode => !seen.has(episode.guid))
+            : episodes.filter(episode => new Date(episode.pubDate).getTime() > subscription.subscribedAt);
+
+        // One transaction, so an unfollow can't land between the two writes
+        const now = Date.now();
+        await appDB.run(['inbox', 'feeds'], 'readwrite', ([inbox, feeds]) => {
+            newEpisodes.forEach(episode => inbox.put({
+                id: this.getInboxId(subscription.id, episode.guid),
+                podcastId: subscription.id,
+                episode: episode,
+                pubTime: new Date(episode.pubDate).getTime() || now,
+                addedAt: now,
+                status: 'new'
+            }));
+            feeds.put({
+                feedUrl: subscription.feedUrl,
+                podcastId: subscription.id,
+                lastModified: result.lastModified,
+                seenGuids: episodes.map(episode => episode.guid),
+                lastChecked: now,
+                lastError: null
+            });
+        });
+
+        await subscriptionManager.updateUnplayedCount(subscription.id, episodes.map(episode => episode.guid));
+
+        return newEpisodes.length;
+    }
+
+    isFollowed(subscription) {
+        return Boolean(subscriptionManager.get(subscription.id));
+    }
+
+    getInboxId(podcastId, guid) {
+        return `${podcastId}::${guid}`;
+    }
+
+    async getInbox() {
+        const items = await appDB.getAll('inbox', 'status', 'new');
+
+        return items
+            .filter(item => subscriptionManager.get(item.podcastId))
+            .sort((a, b) => b.pubTime - a.pubTime);
+    }
+
+    async setStatus(itemId, status) {
+        const item = await appDB.get('inbox', itemId);
+        if (!item || item.status === status) return;
+
+        await appDB.put('inbox', { ...item, status: status, updatedAt: Date.now() });
+        this.notify();
+    }
+
+    markDone(itemId) {
+        return this.setStatus(itemId, 'done');
+    }
+
+    dismiss(itemId) {
+        return this.setStatus(itemId, 'dismissed');
+    }
+
+    async markEpisodeDone(podcastId, guid) {
+        return this.setStatus(this.getInboxId(podcastId, guid), 'done');
+    }
+
+    async dismissAll() {
+        const items = await appDB.getAll('inbox', 'status', 'new');
+        if (items.length === 0) return;
+
+        const now = Date.now();
+        await appDB.putAll('inbox', items.map(item => ({ ...item, status: 'dismissed', updatedAt: now })));
+        this.notify();
+    }
+
+    async addPodcast(subscription) {
+        try {
+            await this.refreshSubscription(subscription);
+        } catch (error) {
+            console.warn(`Initial sync failed for ${subscription.name}:`, error);
+        }
+
+        this.notify();
+    }
+
+    async forgetPodcast(subscription) {
+        const items = await appDB.getAll('inbox', 'podcastId', subscription.id);
+
+        await appDB.run(['inbox', 'feeds'], 'readwrite', ([inbox, feeds]) => {
+            items.forEach(item => inbox.delete(item.id));
+            if (subscription.feedUrl) {
+                feeds.delete(subscription.feedUrl);
+            }
+        });
+
+        this.notify();
+    }
+
+    async pruneInbox() {
+        const cutoff = Date.now() - INBOX_RETENTION_MS;
+        const items = await appDB.getAll('inbox');
+        const stale = items.filter(item => item.status !== 'new' && (item.updatedAt || item.addedAt) < cutoff);
+
+        if (stale.length > 0) {
+            await appDB.run('inbox', 'readwrite', store => {
+                stale.forEach(item => store.delete(item.id));
+            });
+        }
+    }
+}
+
+const feedRefresher = new FeedRefresher();
@@ -0,0 +1,319 @@
+// Sessions shorter than this are accidental taps and are not kept
+const LISTENING_MIN_SECONDS = 5;
+const LISTENING_SAVE_INTERVAL = 30000;
+// A bigger jump in position between timeupdates is a seek, not listening
+const LISTENING_MAX_STEP = 5;
+const LISTENING_EXPORT_VERSION = 1;
+
+function getDayKey(timestamp) {
+    const date = new Date(timestamp);
+    return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+}
+
+function getStartOfDay(timestamp) {
+    const date = new Date(timestamp);
+    date.setHours(0, 0, 0, 0);
+    return date.getTime();
+}
+
+// Weeks start on Monday
+function getStartOfWeek(timestamp) {
+    const date = new Date(getStartOfDay(timestamp));
+    date.setDate(date.getDate() - ((date.getDay() + 6) % 7));
+    return date.getTime();
+}
+
+function addDays(timestamp, days) {
+    const date = new Date(timestamp);
+    date.setDate(date.getDate() + days);
+    return date.getTime();
+}
+
+// '2h 05m', '12m' or '0m'; stats don't need seconds
+function formatListeningTime(seconds) {
+    const minutes = Math.floor(seconds / 60);
+    const hours = Math.floor(minutes / 60);
+
+    if (hours > 0) {
+        return `${hours}h ${String(minutes % 60).padStart(2, '0')}m`;
+    }
+    return `${minutes}m`;
+}
+
+class ListeningHistory {
+    constructor() {
+        this.sessions = [];
+        this.current = null;
+        this.lastPosition = 0;
+        this.lastSaved = 0;
+        this.listeners = new Set();
+        this.ready = this.load();
+
+        window.addEventListener('pagehide', () => this.stop());
+    }
+
+    async load() {
+        try {
+            this.sessions = await appDB.getAll('listeningSessions');
+            this.sessions.sort((a, b) => a.startedAt - b.startedAt);
+        } catch (error) {
+            console.error('Error loading listening history:', error);
+        }
+    }
+
+    onChange(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    notify() {
+        this.listeners.forEach(listener => {
+            try {
+                listener();
+            } catch (error) {
+                console.error('Listening history listener error:', error);
+            }
+        });
+    }
+
+    // Show notes can be large and aren't needed to resume playback
+    createEpisodeSnapshot(episode) {
+        const { notesHtml, description, ...snapshot } = episode;
+        return snapshot;
+    }
+
+    start(episode, podcast, position, rate) {
+        if (!episode || !episode.guid) return;
+        if (this.current && this.current.guid === episode.guid) return;
+
+        this.stop();
+
+        const now = Date.now();
+        this.current = {
+            id: `${now}-${episode.guid}`,
+            guid: episode.guid,
+            episode: this.createEpisodeSnapshot(episode),
+            podcast: getPodcastRef(podcast),
+            startedAt: now,
+            endedAt: now,
+            startPosition: position,
+            endPosition: position,
+            listened: 0,
+            elapsed: 0,
+            speed: rate,
+            completed: false
+        };
+        this.lastPosition = position;
+        this.lastSaved = now;
+    }
+
+    // `listened` counts seconds of the episode heard, `elapsed` the real time that took at the playback speed
+    progress(position, rate) {
+        const session = this.current;
+        if (!session) return;
+
+        const delta = position - this.lastPosition;
+        if (delta > 0 && delta <= LISTENING_MAX_STEP * rate) {
+            session.listened += delta;
+            session.elapsed += delta / rate;
+            session.speed = Math.round((session.listened / session.elapsed) * 100) / 100;
+        }
+        this.lastPosition = position;
+        session.endPosition = position;
+        session.endedAt = Date.now();
+
+        if (session.listened >= LISTENING_MIN_SECONDS && session.endedAt - this.lastSaved >= LISTENING_SAVE_INTERVAL) {
+            this.lastSaved = session.endedAt;
+            this.persist(session);
+        }
+    }
+
+    stop(completed = false) {
+        const session = this.current;
+        if (!session) return;
+
+        this.current = null;
+        session.endedAt = Date.now();
+        session.completed = completed || episodeStateStore.isPlayed(session.guid);
+
+        if (session.listened < LISTENING_MIN_SECONDS) return;
+
+        this.sessions = this.sessions.filter(item => item.id !== session.id);
+        this.sessions.push(session);
+        this.persist(session);
+        this.notify();
+    }
+
+    async persist(session) {
+        try {
+            await appDB.put('listeningSessions', { ...session, listened: Math.round(session.listened), elapsed: Math.round(session.elapsed) });
+        } catch (error) {
+            console.error('Error saving listening session:', error);
+        }
+    }
+
+    // Includes the session in progress, so the stats move while listening
+    getSessions() {
+        if (this.current && this.current.listened >= LISTENING_MIN_SECONDS) {
+            return this.sessions.concat(this.current);
+        }
+        return this.sessions;
+    }
+
+    // One entry per episode, most recently played first
+    getRecentEpisodes(query = '') {
+        const needle = query.trim().toLowerCase();
+        const byGuid = new Map();
+
+        this.getSessions().forEach(session => {
+            const entry = byGuid.get(session.guid) || {
+                episode: session.episode,
+                podcast: session.podcast,
+                lastPlayed: 0,
+                elapsed: 0
+            };
+            entry.elapsed += session.elapsed;
+            if (session.endedAt >= entry.lastPlayed) {
+                entry.lastPlayed = session.endedAt;
+                entry.episode = session.episode;
+                entry.podcast = session.podcast;
+            }
+            byGuid.set(session.guid, entry);
+        });
+
+        return Array.from(byGuid.values())
+            .filter(entry => !needle
+                || entry.episode.title.toLowerCase().includes(needle)
+                || (entry.podcast && entry.podcast.name.toLowerCase().includes(needle)))
+            .sort((a, b) => b.lastPlayed - a.lastPlayed);
+    }
+
+    getStats(now = Date.now()) {
+        const sessions = this.getSessions();
+        const today = getStartOfDay(now);
+        const thisWeek = getStartOfWeek(now);
+
+        const byDay = new Map();
+        const byPodcast = new Map();
+        const started = new Set();
+        const completed = new Set();
+        let total = 0;
+
+        sessions.forEach(session => {
+            const day = getDayKey(session.startedAt);
+            byDay.set(day, (byDay.get(day) || 0) + session.elapsed);
+            total += session.elapsed;
+
+            const key = session.podcast ? session.podcast.id : '';
+            const podcast = byPodcast.get(key) || { podcast: session.podcast, seconds: 0, episodes: new Set() };
+            podcast.seconds += session.elapsed;
+            podcast.episodes.add(session.guid);
+            byPodcast.set(key, podcast);
+
+            started.add(session.guid);
+            if (session.completed || episodeStateStore.isPlayed(session.guid)) {
+                completed.add(session.guid);
+            }
+        });
+
+        const days = [];
+        for (let i = 6; i >= 0; i--) {
+            const start = addDays(today, -i);
+            days.push({ start: start, seconds: byDay.get(getDayKey(start)) || 0 });
+        }
+
+        const weeks = [];
+        for (let i = 7; i >= 0; i--) {
+            const start = addDays(thisWeek, -7 * i);
+            let seconds = 0;
+            for (let day = 0; day < 7; day++) {
+                seconds += byDay.get(getDayKey(addDays(start, day))) || 0;
+            }
+            weeks.push({ start: start, seconds: seconds });
+        }
+
+        const topPodcasts = Array.from(byPodcast.values())
+            .filter(item => item.podcast)
+            .sort((a, b) => b.seconds - a.seconds)
+            .slice(0, 5)
+            .map(item => ({ podcast: item.podcast, seconds: item.seconds, episodes: item.episodes.size }));
+
+        return {
+            total: total,
+            today: days[days.length - 1].seconds,
+            thisWeek: weeks[weeks.length - 1].seconds,
+            days: days,
+            weeks: weeks,
+            topPodcasts: topPodcasts,
+            episodesStarted: started.size,
+            episodesCompleted: completed.size,
+            completionRate: started.size ? completed.size / started.size : 0,
+            ...this.getStreaks(new Set(byDay.keys()), today)
+        };
+    }
+
+    // A streak is a run of consecutive days with any listening; the current
+    // one is still alive if today just hasn't been listened to yet
+    getStreaks(days, today) {
+        let current = 0;
+        let cursor = days.has(getDayKey(today)) ? today : addDays(today, -1);
+        while (days.has(getDayKey(cursor))) {
+            current++;
+            cursor = addDays(cursor, -1);
+        }
+
+        let longest = 0;
+        days.forEach(day => {
+            const [year, month, date] = day.split('-').map(Number);
+            const start = new Date(year, month - 1, date).getTime();
+            if (days.has(getDayKey(addDays(start, -1)))) return;
+
+            let length = 0;
+            let next = start;
+            while (days.has(getDayKey(next))) {
+                length++;
+                next = addDays(next, 1);
+            }
+            longest = Math.max(longest, length);
+        });
+
+        return { currentStreak: current, longestStreak: longest };
+    }
+
+    export() {
+        const data = {
+            app: 'Podcatcher',
+            type: 'listening-history',
+            version: LISTENING_EXPORT_VERSION,
+            exportedAt: new Date().toISOString(),
+            sessions: this.getSessions().map(session => ({
+                ...session,
+                listened: Math.round(session.listened),
+                elapsed: Math.round(session.elapsed)
+            }))
+        };
+
+        downloadFile(`podcatcher-listening-${getDayKey(Date.now())}.json`, JSON.stringify(data, null, 2), 'application/json');
+        return data.sessions.length;
+    }
+
+    async reset() {
+        const playing = this.current;
+        this.current = null;
+        this.sessions = [];
+
+        try {
+            await appDB.clear('listeningSessions');
+        } catch (error) {
+            console.error('Error clearing listening history:', error);
+        }
+
+        // Keep tracking what is playing now, counted from this point
+        if (playing) {
+            this.start(playing.episode, playing.podcast, this.lastPosition, playing.speed);
+        }
+        this.notify();
+    }
+}
+
+const listeningHistory = new ListeningHistory();
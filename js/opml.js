@@ -0,0 +1,103 @@
+const OPML_IMPORT_CONCURRENCY = 3;
+
+function parseOPML(text) {
+    const xmlDoc = parseXMLFromString(text);
+    if (!xmlDoc || !xmlDoc.querySelector('opml')) {
+        throw new Error('This file is not a valid OPML document');
+    }
+
+    const seen = new Set();
+    const feeds = [];
+
+    // Outlines may be nested inside category outlines; only those with a feed URL matter
+    xmlDoc.querySelectorAll('outline').forEach(outline => {
+        const xmlUrl = (outline.getAttribute('xmlUrl') || outline.getAttribute('xmlurl') || '').trim();
+        if (!xmlUrl || seen.has(xmlUrl)) return;
+
+        seen.add(xmlUrl);
+        feeds.push({
+            title: outline.getAttribute('title') || outline.getAttribute('text') || xmlUrl,
+            xmlUrl: xmlUrl,
+            htmlUrl: outline.getAttribute('htmlUrl') || ''
+        });
+    });
+
+    return feeds;
+}
+
+function buildOPML(subscriptions) {
+    const outlines = subscriptions
+        .filter(subscription => subscription.feedUrl)
+        .map(subscription => {
+            const title = escapeHtml(subscription.name);
+            return `        <outline type="rss" text="${title}" title="${title}" xmlUrl="${escapeHtml(subscription.feedUrl)}"/>`;
+        })
+        .join('\n');
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<opml version="2.0">
+    <head>
+        <title>Podcatcher Subscriptions</title>
+        <dateCreated>${new Date().toUTCString()}</dateCreated>
+    </head>
+    <body>
+${outlines}
+    </body>
+</opml>
+`;
+}
+
+async function importOPML(text, onProgress = () => {}) {
+    const feeds = parseOPML(text);
+    const report = {
+        total: feeds.length,
+        imported: [],
+        existing: [],
+        failed: []
+    };
+
+    if (feeds.length === 0) {
+        throw new Error('No podcast feeds found in this OPML file');
+    }
+
+    const queue = [...feeds];
+    let done = 0;
+
+    const worker = async () => {
+        while (queue.length > 0) {
+            const feed = queue.shift();
+
+            try {
+                if (!isValidUrl(feed.xmlUrl)) {
+                    throw new Error('Invalid feed URL');
+                }
+
+                if (subscriptionManager.findByFeedUrl(podcastAPI.registerFeedUrl(feed.xmlUrl))) {
+                    report.existing.push(feed);
+                } else {
+                    const podcast = await podcastAPI.getPodcastFromFeed(feed.xmlUrl);
+                    const subscription = await subscriptionManager.subscribe(podcast);
+                    feedRefresher.addPodcast(subscription);
+                    report.imported.push(feed);
+                }
+            } catch (error) {
+                report.failed.push({ ...feed, error: extractErrorMessage(error) });
+            }
+
+            done++;
+            onProgress(done, feeds.length);
+        }
+    };
+
+    const workers = Array.from({ length: Math.min(OPML_IMPORT_CONCURRENCY, feeds.length) }, worker);
+    await Promise.all(workers);
+
+    return report;
+}
+
+function exportOPML() {
+    const subscriptions = subscriptionManager.getAll();
+    const date = new Date().toISOString().slice(0, 10);
+    downloadFile(`podcatcher-subscriptions-${date}.opml`, buildOPML(subscriptions), 'text/x-opml');
+    return subscriptions.length;
+}
@@ -1,10 +1,22 @@
+const PLAYBACK_SPEED_MIN = 0.5;
+const PLAYBACK_SPEED_MAX = 3;
+const PLAYBACK_SPEED_STEP = 0.1;
+
 class AudioPlayer {
     constructor() {
         this.audio = document.getElementById('audio-player');
         this.currentEpisode = null;
+        this.currentPodcast = null;
         this.isPlaying = false;
         this.currentTime = 0;
         this.duration = 0;
+        this.pendingSeek = 0;
+        this.chapters = [];
+        this.currentChapterIndex = -1;
+        this.transcript = [];
+        this.currentCueIndex = -1;
+        this.transcriptScrolledAt = 0;
+        this.podcastSpeeds = loadFromLocalStorage('podcastSpeeds', {});
 
         this.elements = {
             playPauseBtn: document.getElementById('play-pause'),
@@ -12,18 +24,44 @@ class AudioPlayer {
             pauseIcon: document.getElementById('pause-icon'),
             skipBackBtn: document.getElementById('skip-back'),
             skipForwardBtn: document.getElementById('skip-forward'),
+            skipBackTime: document.getElementById('skip-back-time'),
+            skipForwardTime: document.getElementById('skip-forward-time'),
             progressBar: document.getElementById('progress-bar'),
             currentTimeEl: document.getElementById('current-time'),
             totalTimeEl: document.getElementById('total-time'),
             episodeTitle: document.getElementById('episode-title'),
+            currentChapter: document.getElementById('current-chapter'),
+            previousChapterBtn: document.getElementById('previous-chapter'),
+            nextChapterBtn: document.getElementById('next-chapter'),
+            chapterTicks: document.getElementById('chapter-ticks'),
+            chaptersSection: document.getElementById('chapters'),
+            chapterList: document.getElementById('chapter-list'),
+            transcriptSection: document.getElementById('transcript'),
+            transcriptStatus: document.getElementById('transcript-status'),
+            transcriptSearch: document.getElementById('transcript-search'),
+            transcriptCues: document.getElementById('transcript-cues'),
+            speedSelect: document.getElementById('playback-speed'),
+            speedPerPodcast: document.getElementById('speed-per-podcast'),
+            trimSilenceToggle: document.getElementById('trim-silence'),
+            voiceBoostToggle: document.getElementById('voice-boost'),
+            timeSaved: document.getElementById('time-saved'),
+            sleepSelect: document.getElementById('sleep-timer'),
+            sleepStatus: document.getElementById('sleep-timer-status'),
             episodePodcast: document.getElementById('episode-podcast'),
             episodeArtwork: document.getElementById('episode-artwork'),
             currentEpisodeContainer: document.getElementById('current-episode'),
-            noEpisodeContainer: document.querySelector('.no-episode')
+            noEpisodeContainer: document.querySelector('.no-episode'),
+            upNextSection: document.getElementById('up-next'),
+            upNextList: document.getElementById('up-next-list'),
+            clearQueueBtn: document.getElementById('clear-queue')
         };
 
+        this.renderSpeedOptions();
+        this.updateSkipLabels();
         this.setupEventListeners();
+        this.applyPlaybackRate();
         this.loadSavedState();
+        this.renderQueue();
     }
 
     setupEventListeners() {
@@ -32,6 +70,17 @@ class AudioPlayer {
         this.elements.skipForwardBtn.addEventListener('click', () => this.skipForward());
         this.elements.progressBar.addEventListener('input', (e) => this.seek(e.target.value));
         this.elements.progressBar.addEventListener('change', (e) => this.seek(e.target.value));
+        this.elements.previousChapterBtn.addEventListener('click', () => this.previousChapter());
+        this.elements.nextChapterBtn.addEventListener('click', () => this.nextChapter());
+        this.elements.chapterList.addEventListener('click', (e) => this.handleChapterClick(e));
+        this.elements.transcriptSearch.addEventListener('input', debounce(() => this.renderTranscript(), 200));
+        this.elements.transcriptCues.addEventListener('click', (e) => this.handleCueClick(e));
+        // Manual scrolling pauses auto-follow so the reader is not yanked back
+        ['wheel', 'touchmove'].forEach(type => {
+            this.elements.transcriptCues.addEventListener(type, () => {
+                this.transcriptScrolledAt = Date.now();
+            }, { passive: true });
+        });
 
         this.audio.addEventListener('loadstart', () => this.onLoadStart());
         this.audio.addEventListener('loadedmetadata', () => this.onLoadedMetadata());
@@ -42,25 +91,61 @@ class AudioPlayer {
         this.audio.addEventListener('pause', () => this.onPause());
         this.audio.addEventListener('waiting', () => this.onWaiting());
         this.audio.addEventListener('canplaythrough', () => this.onCanPlayThrough());
+        this.audio.addEventListener('ratechange', () => this.updatePositionState());
+        this.audio.addEventListener('seeked', () => this.updatePositionState());
+
+        this.elements.speedSelect.addEventListener('change', (e) => this.setPlaybackRate(parseFloat(e.target.value)));
+        this.elements.speedPerPodcast.addEventListener('change', (e) => this.togglePodcastSpeed(e.target.checked));
+        this.elements.trimSilenceToggle.addEventListener('change', (e) => this.setAudioEffect('trimSilence', e.target.checked));
+        this.elements.voiceBoostToggle.addEventListener('change', (e) => this.setAudioEffect('voiceBoost', e.target.checked));
+        audioEffects.onChange(() => this.renderTimeSaved());
+        this.elements.sleepSelect.addEventListener('change', (e) => this.setSleepTimer(e.target.value));
+        this.elements.sleepStatus.addEventListener('click', () => sleepTimer.extend());
+        sleepTimer.onChange((status) => this.renderSleepTimer(status));
+
+        settings.onChange((key) => {
+            if (key === 'skipBackSeconds' || key === 'skipForwardSeconds') {
+                this.updateSkipLabels();
+            } else if (key === 'playbackSpeed') {
+                this.applyPlaybackRate();
+            }
+        });
 
         document.addEventListener('keydown', (e) => this.handleKeyPress(e));
 
+        playbackQueue.onChange(() => this.renderQueue());
+        this.elements.clearQueueBtn.addEventListener('click', () => playbackQueue.clear());
+        this.elements.upNextList.addEventListener('click', (e) => this.handleQueueClick(e));
+
         if ('mediaSession' in navigator) {
             this.setupMediaSession();
         }
     }
 
-    async loadEpisode(episode, podcastName = '', autoPlay = false) {
+    // options: recordHistory (false keeps the episode being left out of the history)
+    async loadEpisode(episode, podcast = null, autoPlay = false, options = {}) {
         if (!episode || !episode.audioUrl) {
             throw new Error('Invalid episode data');
         }
 
+        const podcastName = podcast ? podcast.name : '';
+
         console.log('Loading episode:', episode.title);
         console.log('Audio URL:', episode.audioUrl);
         console.log('Auto-play:', autoPlay);
 
         try {
+            if (this.currentEpisode && this.currentEpisode.guid !== episode.guid) {
+                listeningHistory.stop();
+                this.savePlaybackPosition(true);
+                if (options.recordHistory !== false) {
+                    playbackQueue.pushHistory(this.currentEpisode, this.currentPodcast);
+                }
+            }
+            playbackQueue.dequeue(episode.guid);
+
             this.currentEpisode = episode;
+            this.currentPodcast = getPodcastRef(podcast);
 
             // Reset audio element state
             this.audio.pause();
@@ -69,11 +154,18 @@ class AudioPlayer {
             // Show loading state immediately
             this.setLoadingState(true);
 
-            this.audio.src = episode.audioUrl;
+            this.pendingSeek = episodeStateStore.getResumePosition(episode.guid);
+            await downloadManager.ready;
+            this.audio.src = await downloadManager.getPlaybackUrl(episode);
             this.audio.load();
+            this.applyPlaybackRate();
+            this.applyAudioEffects();
+            this.renderTimeSaved();
 
             this.updatePlayerUI(episode, podcastName);
             this.showPlayer();
+            this.loadEpisodeChapters(episode);
+            this.loadEpisodeTranscript(episode);
 
             this.saveCurrentEpisode();
 
@@ -162,7 +254,25 @@ class AudioPlayer {
         }
     }
 
-    skipBack(seconds = 15) {
+    getSkipBackSeconds() {
+        return settings.get('skipBackSeconds');
+    }
+
+    getSkipForwardSeconds() {
+        return settings.get('skipForwardSeconds');
+    }
+
+    updateSkipLabels() {
+        const back = this.getSkipBackSeconds();
+        const forward = this.getSkipForwardSeconds();
+
+        this.elements.skipBackTime.textContent = back;
+        this.elements.skipForwardTime.textContent = forward;
+        this.elements.skipBackBtn.setAttribute('aria-label', `Skip back ${back} seconds`);
+        this.elements.skipForwardBtn.setAttribute('aria-label', `Skip forward ${forward} seconds`);
+    }
+
+    skipBack(seconds = this.getSkipBackSeconds()) {
         if (!this.currentEpisode) return;
 
         const newTime = Math.max(0, this.audio.currentTime - seconds);
@@ -170,7 +280,7 @@ class AudioPlayer {
         announceToScreenReader(`Skipped back ${seconds} seconds`);
     }
 
-    skipForward(seconds = 30) {
+    skipForward(seconds = this.getSkipForwardSeconds()) {
         if (!this.currentEpisode) return;
 
         const newTime = Math.min(this.audio.duration || 0, this.audio.currentTime + seconds);
@@ -185,6 +295,190 @@ class AudioPlayer {
         this.audio.currentTime = newTime;
     }
 
+    renderSpeedOptions() {
+        const steps = Math.round((PLAYBACK_SPEED_MAX - PLAYBACK_SPEED_MIN) / PLAYBACK_SPEED_STEP);
+        const options = [];
+        for (let i = 0; i <= steps; i++) {
+            const rate = this.roundRate(PLAYBACK_SPEED_MIN + i * PLAYBACK_SPEED_STEP);
+            options.push(`<option value="${rate}">${rate.toFixed(1)}×</option>`);
+        }
+        this.elements.speedSelect.innerHTML = options.join('');
+    }
+
+    roundRate(rate) {
+        return Math.round(rate * 100) / 100;
+    }
+
+    clampRate(rate) {
+        return Math.min(PLAYBACK_SPEED_MAX, Math.max(PLAYBACK_SPEED_MIN, this.roundRate(rate)));
+    }
+
+    getCurrentPodcastKey() {
+        return this.currentPodcast ? getPodcastKey(this.currentPodcast) : '';
+    }
+
+    // A per-podcast override wins over the global default
+    getPlaybackRate() {
+        const key = this.getCurrentPodcastKey();
+        if (key && this.podcastSpeeds[key]) {
+            return this.podcastSpeeds[key];
+        }
+        return settings.get('playbackSpeed');
+    }
+
+    applyPlaybackRate() {
+        const rate = this.clampRate(this.getPlaybackRate());
+
+        // load() resets playbackRate to defaultPlaybackRate, so set both
+        this.audio.defaultPlaybackRate = rate;
+        this.audio.playbackRate = rate;
+        this.audio.preservesPitch = true;
+        this.audio.webkitPreservesPitch = true;
+        this.audio.mozPreservesPitch = true;
+
+        this.updateSpeedControls(rate);
+    }
+
+    updateSpeedControls(rate) {
+        const key = this.getCurrentPodcastKey();
+        this.elements.speedSelect.value = String(rate);
+        this.elements.speedPerPodcast.checked = Boolean(key && this.podcastSpeeds[key]);
+        this.elements.speedPerPodcast.disabled = !key;
+    }
+
+    setPlaybackRate(rate) {
+        const clamped = this.clampRate(rate);
+        const key = this.getCurrentPodcastKey();
+
+        if (key && this.podcastSpeeds[key]) {
+            this.podcastSpeeds[key] = clamped;
+            saveToLocalStorage('podcastSpeeds', this.podcastSpeeds);
+        } else {
+            settings.set('playbackSpeed', clamped);
+        }
+
+        this.applyPlaybackRate();
+        announceToScreenReader(`Playback speed ${clamped}×`);
+    }
+
+    stepPlaybackRate(direction) {
+        // Not audio.playbackRate, which is raised while trimming silence
+        this.setPlaybackRate(this.getPlaybackRate() + direction * PLAYBACK_SPEED_STEP);
+    }
+
+    togglePodcastSpeed(enabled) {
+        const key = this.getCurrentPodcastKey();
+        if (!key) return;
+
+        if (enabled) {
+            this.podcastSpeeds[key] = this.clampRate(this.getPlaybackRate());
+        } else {
+            delete this.podcastSpeeds[key];
+        }
+        saveToLocalStorage('podcastSpeeds', this.podcastSpeeds);
+
+        this.applyPlaybackRate();
+        announceToScreenReader(enabled
+            ? `Speed saved for ${this.currentPodcast.name}`
+            : 'Using the default speed for this podcast');
+    }
+
+    getAudioEffectSettings() {
+        return audioEffects.getSettings(this.getCurrentPodcastKey());
+    }
+
+    applyAudioEffects() {
+        const effects = this.getAudioEffectSettings();
+        const available = audioEffects.isSupported() && Boolean(this.getCurrentPodcastKey());
+
+        this.elements.trimSilenceToggle.checked = effects.trimSilence;
+        this.elements.voiceBoostToggle.checked = effects.voiceBoost;
+        this.elements.trimSilenceToggle.disabled = !available;
+        this.elements.voiceBoostToggle.disabled = !available;
+
+        if (this.isPlaying) {
+            this.startAudioEffects();
+        } else {
+            audioEffects.configure(effects);
+        }
+    }
+
+    startAudioEffects() {
+        const effects = this.getAudioEffectSettings();
+
+        if (audioEffects.isSupported() && audioEffects.isActive(effects)) {
+            try {
+                audioEffects.attach(this.audio);
+            } catch (error) {
+                console.error('Unable to start audio effects:', error);
+                return;
+            }
+        }
+
+        audioEffects.configure(effects);
+        audioEffects.resume();
+
+        if (effects.trimSilence && audioEffects.isAttached()) {
+            audioEffects.startMonitoring(this.currentEpisode.guid, () => this.getPlaybackRate());
+        } else {
+            audioEffects.stopMonitoring(this.getPlaybackRate());
+        }
+    }
+
+    setAudioEffect(name, enabled) {
+        const key = this.getCurrentPodcastKey();
+        if (!key) return;
+
+        audioEffects.setSetting(key, name, enabled);
+        this.applyAudioEffects();
+
+        const label = name === 'trimSilence' ? 'Trim silence' : 'Voice boost';
+        announceToScreenReader(`${label} ${enabled ? 'on' : 'off'} for ${this.currentPodcast.name}`);
+    }
+
+    renderTimeSaved() {
+        const total = audioEffects.getTotalTimeSaved();
+        const episode = this.currentEpisode ? audioEffects.getTimeSaved(this.currentEpisode.guid) : 0;
+
+        this.elements.timeSaved.classList.toggle('hidden', total < 1);
+        this.elements.timeSaved.textContent = `Time saved: ${formatDuration(episode)} this episode · ${formatDuration(total)} total`;
+    }
+
+    setSleepTimer(value) {
+        if (!value) {
+            sleepTimer.cancel();
+        } else if (value === 'episode') {
+            sleepTimer.startEndOfEpisode();
+        } else {
+            sleepTimer.start(parseInt(value, 10));
+        }
+    }
+
+    renderSleepTimer(status) {
+        this.elements.sleepStatus.classList.toggle('hidden', !status.mode);
+        this.elements.sleepStatus.classList.toggle('fading', status.fading);
+
+        if (!status.mode) {
+            this.elements.sleepSelect.value = '';
+            return;
+        }
+
+        this.elements.sleepStatus.textContent = status.remaining === null
+            ? 'Stopping at end of episode · Tap to extend'
+            : `Sleep in ${formatDuration(Math.ceil(status.remaining / 1000))} · Tap to extend`;
+    }
+
+    seekToTime(seconds) {
+        if (!this.currentEpisode) return;
+
+        // Before metadata loads the position can only be applied once it does
+        if (this.audio.duration) {
+            this.audio.currentTime = Math.min(seconds, this.audio.duration);
+        } else {
+            this.pendingSeek = seconds;
+        }
+    }
+
     onLoadStart() {
         this.setLoadingState(true);
     }
@@ -193,6 +487,14 @@ class AudioPlayer {
         this.duration = this.audio.duration;
         this.elements.totalTimeEl.textContent = formatDuration(this.duration);
         this.setLoadingState(false);
+        this.renderChapterTicks();
+        this.updatePositionState();
+
+        if (this.pendingSeek > 0 && this.pendingSeek < this.duration) {
+            this.audio.currentTime = this.pendingSeek;
+            announceToScreenReader(`Resuming at ${formatDuration(this.pendingSeek)}`);
+        }
+        this.pendingSeek = 0;
     }
 
     waitForReadyAndPlay() {
@@ -238,29 +540,354 @@ class AudioPlayer {
         const percentage = (this.currentTime / this.audio.duration) * 100;
         this.elements.progressBar.value = percentage;
 
+        this.updateCurrentChapter();
+        this.updateCurrentCue();
         this.savePlaybackPosition();
+
+        if (!this.audio.paused) {
+            listeningHistory.progress(this.currentTime, this.audio.playbackRate);
+        }
     }
 
     onPlay() {
         this.isPlaying = true;
+        listeningHistory.start(this.currentEpisode, this.currentPodcast, this.audio.currentTime, this.audio.playbackRate);
+        this.updatePositionState();
+        this.startAudioEffects();
         this.updatePlayPauseButton();
         announceToScreenReader('Playing');
     }
 
     onPause() {
         this.isPlaying = false;
+        // At the end of an episode 'pause' fires just before 'ended'
+        listeningHistory.stop(this.audio.ended);
+        audioEffects.stopMonitoring(this.getPlaybackRate());
+        this.savePlaybackPosition(true);
         this.updatePlayPauseButton();
         announceToScreenReader('Paused');
     }
 
     onEnded() {
         this.isPlaying = false;
+        audioEffects.stopMonitoring(this.getPlaybackRate());
         this.updatePlayPauseButton();
         this.elements.progressBar.value = 0;
         announceToScreenReader('Episode finished');
+
+        if (this.currentEpisode) {
+            episodeStateStore.markPlayed([this.currentEpisode.guid], this.getCurrentPodcastKey());
+        }
+
+        document.dispatchEvent(new CustomEvent('episodeended', {
+            detail: { episode: this.currentEpisode, podcast: this.currentPodcast }
+        }));
+
+        if (sleepTimer.handleEpisodeEnded()) {
+            return;
+        }
+
+        if (playbackQueue.getItems().length > 0) {
+            this.nextTrack();
+        }
+    }
+
+    async nextTrack() {
+        const next = playbackQueue.shift();
+        if (!next) {
+            announceToScreenReader('Up Next is empty');
+            return;
+        }
+
+        try {
+            await this.loadEpisode(next.episode, next.podcast, true);
+        } catch (error) {
+            console.error('Error advancing queue:', error);
+        }
+    }
+
+    async previousTrack() {
+        // Like most players, "previous" restarts the episode unless we are near its start
+        if (this.currentEpisode && this.audio.currentTime > 3) {
+            this.audio.currentTime = 0;
+            return;
+        }
+
+        const previous = playbackQueue.popHistory();
+        if (!previous) {
+            if (this.currentEpisode) {
+                this.audio.currentTime = 0;
+            }
+            return;
+        }
+
+        if (this.currentEpisode) {
+            playbackQueue.playNext(this.currentEpisode, this.currentPodcast);
+        }
+
+        try {
+            // Going back should not record the episode we are leaving as history
+            await this.loadEpisode(previous.episode, previous.podcast, true, { recordHistory: false });
+        } catch (error) {
+            console.error('Error returning to previous episode:', error);
+        }
+    }
+
+    async loadEpisodeChapters(episode) {
+        this.setChapters([]);
+
+        const chapters = await loadChapters(episode);
+        if (!this.currentEpisode || this.currentEpisode.guid !== episode.guid) return;
+
+        this.setChapters(chapters);
+    }
+
+    setChapters(chapters) {
+        this.chapters = chapters;
+        this.currentChapterIndex = -1;
+
+        const hasChapters = chapters.length > 0;
+        this.elements.chaptersSection.classList.toggle('hidden', !hasChapters);
+        this.elements.previousChapterBtn.classList.toggle('hidden', !hasChapters);
+        this.elements.nextChapterBtn.classList.toggle('hidden', !hasChapters);
+
+        this.elements.chapterList.innerHTML = chapters.map((chapter, index) => `
+            <li class="chapter-item" data-index="${index}">
+                <button class="chapter-play" aria-label="Jump to ${escapeHtml(this.getChapterTitle(index))}">
+                    ${chapter.img ? `<img class="chapter-artwork" src="${escapeHtml(chapter.img)}" alt="" loading="lazy">` : ''}
+                    <span class="chapter-title">${escapeHtml(this.getChapterTitle(index))}</span>
+                    <span class="chapter-time">${formatDuration(chapter.startTime)}</span>
+                </button>
+            </li>
+        `).join('');
+
+        this.renderChapterTicks();
+        this.updateCurrentChapter();
+    }
+
+    getChapterTitle(index) {
+        const chapter = this.chapters[index];
+        return chapter && chapter.title ? chapter.title : `Chapter ${index + 1}`;
+    }
+
+    renderChapterTicks() {
+        const duration = this.audio.duration || (this.currentEpisode ? this.currentEpisode.duration : 0);
+        if (!duration || !isFinite(duration)) {
+            this.elements.chapterTicks.innerHTML = '';
+            return;
+        }
+
+        this.elements.chapterTicks.innerHTML = this.chapters
+            .filter(chapter => chapter.startTime > 0 && chapter.startTime < duration)
+            .map(chapter => `<span class="chapter-tick" style="left: ${(chapter.startTime / duration) * 100}%"></span>`)
+            .join('');
+    }
+
+    updateCurrentChapter() {
+        const index = getChapterIndex(this.chapters, this.audio.currentTime);
+        if (index === this.currentChapterIndex) return;
+
+        this.currentChapterIndex = index;
+        this.elements.currentChapter.textContent = index >= 0 ? this.getChapterTitle(index) : '';
+        this.elements.currentChapter.classList.toggle('hidden', index < 0);
+
+        this.elements.chapterList.querySelectorAll('.chapter-item').forEach(item => {
+            const isCurrent = parseInt(item.dataset.index, 10) === index;
+            item.classList.toggle('current', isCurrent);
+            item.querySelector('.chapter-play').toggleAttribute('aria-current', isCurrent);
+        });
+    }
+
+    seekToChapter(index) {
+        const chapter = this.chapters[index];
+        if (!chapter) return;
+
+        this.seekToTime(chapter.startTime);
+        this.updateCurrentChapter();
+        announceToScreenReader(`Chapter: ${this.getChapterTitle(index)}`);
+    }
+
+    // Both return false when there is no chapter to move to, so callers
+    // can fall back to queue navigation.
+    nextChapter() {
+        const index = getChapterIndex(this.chapters, this.audio.currentTime);
+        if (!this.currentEpisode || index + 1 >= this.chapters.length) return false;
+
+        this.seekToChapter(index + 1);
+        return true;
+    }
+
+    previousChapter() {
+        const index = getChapterIndex(this.chapters, this.audio.currentTime);
+        if (!this.currentEpisode || index < 0) return false;
+
+        // Same convention as previousTrack: restart the chapter unless we are near its start
+        if (this.audio.currentTime - this.chapters[index].startTime > 3) {
+            this.seekToChapter(index);
+            return true;
+        }
+        if (index === 0) return false;
+
+        this.seekToChapter(index - 1);
+        return true;
+    }
+
+    handleChapterClick(event) {
+        const row = event.target.closest('.chapter-item');
+        if (!row) return;
+
+        this.seekToChapter(parseInt(row.dataset.index, 10));
+        if (this.audio.paused) {
+            this.play();
+        }
+    }
+
+    async loadEpisodeTranscript(episode) {
+        this.setTranscript([]);
+
+        const cues = await loadTranscript(episode);
+        if (!this.currentEpisode || this.currentEpisode.guid !== episode.guid) return;
+
+        this.setTranscript(cues);
+    }
+
+    setTranscript(cues) {
+        this.transcript = cues;
+        this.elements.transcriptSearch.value = '';
+        this.elements.transcriptSection.classList.toggle('hidden', cues.length === 0);
+        this.renderTranscript();
+    }
+
+    renderTranscript() {
+        const query = this.elements.transcriptSearch.value.trim();
+        const needle = query.toLowerCase();
+        const matches = [];
+
+        this.transcript.forEach((cue, index) => {
+            if (!needle || cue.text.toLowerCase().includes(needle) || cue.speaker.toLowerCase().includes(needle)) {
+                matches.push(index);
+            }
+        });
+
+        this.elements.transcriptCues.innerHTML = matches.length > 0 ? matches.map(index => {
+            const cue = this.transcript[index];
+            return `
+                <button class="transcript-cue" data-index="${index}">
+                    <span class="transcript-time">${formatDuration(cue.startTime)}</span>
+                    ${cue.speaker ? `<span class="transcript-speaker">${this.highlightMatches(cue.speaker, query)}</span>` : ''}
+                    <span class="transcript-text">${this.highlightMatches(cue.text, query)}</span>
+                </button>
+            `;
+        }).join('') : '<p class="transcript-empty">No matches</p>';
+
+        this.elements.transcriptStatus.textContent = query
+            ? `${matches.length} ${matches.length === 1 ? 'match' : 'matches'}`
+            : '';
+
+        this.currentCueIndex = -1;
+        this.updateCurrentCue();
+    }
+
+    highlightMatches(text, query) {
+        const escaped = escapeHtml(text);
+        if (!query) return escaped;
+
+        const pattern = escapeHtml(query).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        return escaped.replace(new RegExp(pattern, 'gi'), match => `<mark>${match}</mark>`);
+    }
+
+    updateCurrentCue() {
+        if (this.transcript.length === 0) return;
+
+        const index = getCueIndex(this.transcript, this.audio.currentTime);
+        if (index === this.currentCueIndex) return;
+
+        const previous = this.elements.transcriptCues.querySelector('.transcript-cue.current');
+        if (previous) {
+            previous.classList.remove('current');
+        }
+
+        this.currentCueIndex = index;
+        const current = this.elements.transcriptCues.querySelector(`[data-index="${index}"]`);
+        if (!current) return;
+
+        current.classList.add('current');
+
+        const following = !this.elements.transcriptSearch.value.trim() && Date.now() - this.transcriptScrolledAt > 5000;
+        if (following) {
+            const container = this.elements.transcriptCues;
+            container.scrollTop = current.offsetTop - container.clientHeight / 3;
+        }
+    }
+
+    handleCueClick(event) {
+        const cue = event.target.closest('.transcript-cue');
+        if (!cue) return;
+
+        const { startTime } = this.transcript[parseInt(cue.dataset.index, 10)];
+        this.transcriptScrolledAt = 0;
+        this.seekToTime(startTime);
+        announceToScreenReader(`Jumped to ${formatDuration(startTime)}`);
+
+        if (this.audio.paused) {
+            this.play();
+        }
+    }
+
+    renderQueue() {
+        const items = playbackQueue.getItems();
+
+        this.elements.upNextSection.classList.toggle('hidden', items.length === 0);
+
+        this.elements.upNextList.innerHTML = items.map((item, index) => `
+            <li class="queue-item" data-index="${index}">
+                <button class="queue-play" data-action="play" aria-label="Play ${escapeHtml(item.episode.title)} now">
+                    <span class="queue-title">${escapeHtml(item.episode.title)}</span>
+                    <span class="queue-podcast">${escapeHtml(item.podcast ? item.podcast.name : '')}</span>
+                </button>
+                <div class="queue-actions">
+                    <button class="icon-button" data-action="up" aria-label="Move up" ${index === 0 ? 'disabled' : ''}>↑</button>
+                    <button class="icon-button" data-action="down" aria-label="Move down" ${index === items.length - 1 ? 'disabled' : ''}>↓</button>
+                    <button class="icon-button" data-action="remove" aria-label="Remove from Up Next">×</button>
+                </div>
+            </li>
+        `).join('');
+    }
+
+    handleQueueClick(event) {
+        const button = event.target.closest('[data-action]');
+        const row = event.target.closest('.queue-item');
+        if (!button || !row) return;
+
+        const index = parseInt(row.dataset.index, 10);
+
+        switch (button.dataset.action) {
+            case 'play': {
+                const item = playbackQueue.take(index);
+                if (item) {
+                    this.loadEpisode(item.episode, item.podcast, true).catch(error => {
+                        console.error('Error playing queued episode:', error);
+                    });
+                }
+                break;
+            }
+            case 'up':
+                playbackQueue.move(index, index - 1);
+                announceToScreenReader('Moved up');
+                break;
+            case 'down':
+                playbackQueue.move(index, index + 1);
+                announceToScreenReader('Moved down');
+                break;
+            case 'remove':
+                playbackQueue.remove(index);
+                announceToScreenReader('Removed from Up Next');
+                break;
+        }
     }
 
     onError(error) {
+        this.pendingSeek = 0;
         console.error('Audio error:', error);
         console.error('Audio src:', this.audio.src);
         console.error('Audio readyState:', this.audio.readyState);
@@ -322,6 +949,8 @@ class AudioPlayer {
         this.elements.skipBackBtn.disabled = loading;
         this.elements.skipForwardBtn.disabled = loading;
         this.elements.progressBar.disabled = loading;
+        this.elements.previousChapterBtn.disabled = loading;
+        this.elements.nextChapterBtn.disabled = loading;
 
         // Add/remove loading spinner on the play button
         if (loading) {
@@ -346,33 +975,53 @@ class AudioPlayer {
     }
 
     handleKeyPress(event) {
-        if (!this.currentEpisode) return;
+        if (!this.currentEpisode || keyboardShortcuts.isTypingTarget(event.target)) return;
 
-        if (event.target.tagName === 'INPUT' || event.target.tagName === 'TEXTAREA') {
+        if (/^[0-9]$/.test(event.key) && !event.ctrlKey && !event.metaKey && !event.altKey) {
+            event.preventDefault();
+            this.seekToTime((this.audio.duration || this.currentEpisode.duration || 0) * parseInt(event.key, 10) / 10);
             return;
         }
 
-        switch (event.key) {
-            case ' ':
-                event.preventDefault();
-                this.togglePlayPause();
-                break;
-            case 'ArrowLeft':
-                event.preventDefault();
-                this.skipBack();
-                break;
-            case 'ArrowRight':
-                event.preventDefault();
-                this.skipForward();
-                break;
+        const action = keyboardShortcuts.match(event);
+        const handlers = {
+            playPause: () => this.togglePlayPause(),
+            skipBack: () => this.skipBack(),
+            skipForward: () => this.skipForward(),
+            previousChapter: () => this.previousChapter(),
+            nextChapter: () => this.nextChapter(),
+            speedDown: () => this.stepPlaybackRate(-1),
+            speedUp: () => this.stepPlaybackRate(1),
+            volumeDown: () => this.changeVolume(-0.1),
+            volumeUp: () => this.changeVolume(0.1),
+            mute: () => this.toggleMute()
+        };
+
+        if (handlers[action]) {
+            event.preventDefault();
+            handlers[action]();
         }
     }
 
+    changeVolume(delta) {
+        this.audio.muted = false;
+        this.audio.volume = Math.round(Math.min(1, Math.max(0, this.audio.volume + delta)) * 100) / 100;
+        announceToScreenReader(`Volume ${Math.round(this.audio.volume * 100)}%`);
+    }
+
+    toggleMute() {
+        this.audio.muted = !this.audio.muted;
+        announceToScreenReader(this.audio.muted ? 'Muted' : 'Unmuted');
+    }
+
     setupMediaSession() {
         navigator.mediaSession.setActionHandler('play', () => this.play());
         navigator.mediaSession.setActionHandler('pause', () => this.pause());
-        navigator.mediaSession.setActionHandler('seekbackward', () => this.skipBack());
-        navigator.mediaSession.setActionHandler('seekforward', () => this.skipForward());
+        navigator.mediaSession.setActionHandler('seekbackward', (details) => this.skipBack(details.seekOffset || this.getSkipBackSeconds()));
+        navigator.mediaSession.setActionHandler('seekforward', (details) => this.skipForward(details.seekOffset || this.getSkipForwardSeconds()));
+        // Chapters take priority; at either end of the episode these move through the queue
+        navigator.mediaSession.setActionHandler('previoustrack', () => this.previousChapter() || this.previousTrack());
+        navigator.mediaSession.setActionHandler('nexttrack', () => this.nextChapter() || this.nextTrack());
     }
 
     updateMediaSession(episode, podcastName) {
@@ -388,49 +1037,91 @@ class AudioPlayer {
         }
     }
 
+    updatePositionState() {
+        if (!('mediaSession' in navigator) || !navigator.mediaSession.setPositionState) return;
+
+        const duration = this.audio.duration;
+        if (!duration || !isFinite(duration)) return;
+
+        try {
+            navigator.mediaSession.setPositionState({
+                duration: duration,
+                playbackRate: this.audio.playbackRate,
+                position: Math.min(this.audio.currentTime, duration)
+            });
+        } catch (error) {
+            console.warn('Unable to update media position state:', error);
+        }
+    }
+
     saveCurrentEpisode() {
         if (this.currentEpisode) {
             saveToLocalStorage('currentEpisode', {
                 episode: this.currentEpisode,
+                podcast: this.currentPodcast,
                 timestamp: Date.now()
             });
         }
     }
 
-    savePlaybackPosition() {
-        if (this.currentEpisode && this.currentTime > 0) {
-            saveToLocalStorage('playbackPosition', {
-                episodeGuid: this.currentEpisode.guid,
-                position: this.currentTime,
-                timestamp: Date.now()
-            });
+    savePlaybackPosition(force = false) {
+        // Don't let the reset to 0 during a load overwrite the resume point
+        if (!this.currentEpisode || this.pendingSeek > 0) return;
+
+        const position = this.audio.currentTime;
+        if (position > 0) {
+            const podcastId = this.currentPodcast ? this.currentPodcast.id : '';
+            episodeStateStore.updatePosition(this.currentEpisode, podcastId, position, this.audio.duration || this.currentEpisode.duration, force);
         }
     }
 
-    loadSavedState() {
+    async loadSavedState() {
         const savedEpisode = loadFromLocalStorage('currentEpisode');
         if (savedEpisode && savedEpisode.episode) {
             const timeDiff = Date.now() - savedEpisode.timestamp;
-            if (timeDiff < 24 * 60 * 60 * 1000) {
-                this.updatePlayerUI(savedEpisode.episode, 'Previously Played');
+            const windowHours = settings.get('resumeWindowHours');
+            if (windowHours === 0 || timeDiff < windowHours * 60 * 60 * 1000) {
+                const podcastName = savedEpisode.podcast ? savedEpisode.podcast.name : 'Previously Played';
+                this.updatePlayerUI(savedEpisode.episode, podcastName);
                 this.showPlayer();
                 this.currentEpisode = savedEpisode.episode;
-
-                const savedPosition = loadFromLocalStorage('playbackPosition');
-                if (savedPosition && savedPosition.episodeGuid === savedEpisode.episode.guid) {
-                    const positionDiff = Date.now() - savedPosition.timestamp;
-                    if (positionDiff < 24 * 60 * 60 * 1000 && savedPosition.position > 0) {
-                        this.audio.currentTime = savedPosition.position;
-                    }
-                }
+                this.currentPodcast = savedEpisode.podcast || null;
+                this.applyPlaybackRate();
+                this.applyAudioEffects();
+                this.renderTimeSaved();
+                this.loadEpisodeChapters(savedEpisode.episode);
+                this.loadEpisodeTranscript(savedEpisode.episode);
+
+                await Promise.all([episodeStateStore.ready, downloadManager.ready]);
+                this.migrateLegacyPosition(savedEpisode.episode);
+
+                // preload="none" means nothing is fetched until play; the seek is applied on loadedmetadata
+                this.pendingSeek = episodeStateStore.getResumePosition(savedEpisode.episode.guid);
+                this.audio.src = await downloadManager.getPlaybackUrl(savedEpisode.episode);
             }
         }
     }
 
+    migrateLegacyPosition(episode) {
+        const savedPosition = loadFromLocalStorage('playbackPosition');
+        if (!savedPosition) return;
+
+        localStorage.removeItem('playbackPosition');
+
+        if (savedPosition.episodeGuid === episode.guid && savedPosition.position > 0 && !episodeStateStore.get(episode.guid)) {
+            const podcastId = this.currentPodcast ? this.currentPodcast.id : '';
+            episodeStateStore.updatePosition(episode, podcastId, savedPosition.position, episode.duration, true);
+        }
+    }
+
     getCurrentEpisode() {
         return this.currentEpisode;
     }
 
+    getCurrentPodcast() {
+        return this.currentPodcast;
+    }
+
     isCurrentlyPlaying() {
         return this.isPlaying;
     }
@@ -438,6 +1129,7 @@ class AudioPlayer {
     destroy() {
         this.pause();
         this.currentEpisode = null;
+        this.currentPodcast = null;
         this.hidePlayer();
     }
 }
@@ -0,0 +1,124 @@
+const QUEUE_STORAGE_KEY = 'upNext';
+const QUEUE_HISTORY_LIMIT = 50;
+
+class PlaybackQueue {
+    constructor() {
+        const saved = loadFromLocalStorage(QUEUE_STORAGE_KEY, {});
+        this.items = Array.isArray(saved.items) ? saved.items : [];
+        this.history = Array.isArray(saved.history) ? saved.history : [];
+        this.listeners = new Set();
+    }
+
+    onChange(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    save() {
+        saveToLocalStorage(QUEUE_STORAGE_KEY, {
+            items: this.items,
+            history: this.history
+        });
+
+        this.listeners.forEach(listener => {
+            try {
+                listener(this.items);
+            } catch (error) {
+                console.error('Queue listener error:', error);
+            }
+        });
+    }
+
+    createEntry(episode, podcast) {
+        return {
+            episode: episode,
+            podcast: getPodcastRef(podcast)
+        };
+    }
+
+    getItems() {
+        return this.items;
+    }
+
+    has(guid) {
+        return this.items.some(item => item.episode.guid === guid);
+    }
+
+    removeGuid(guid) {
+        this.items = this.items.filter(item => item.episode.guid !== guid);
+    }
+
+    playNext(episode, podcast) {
+        this.removeGuid(episode.guid);
+        this.items.unshift(this.createEntry(episode, podcast));
+        this.save();
+    }
+
+    add(episode, podcast) {
+        this.removeGuid(episode.guid);
+        this.items.push(this.createEntry(episode, podcast));
+        this.save();
+    }
+
+    remove(index) {
+        if (index < 0 || index >= this.items.length) return;
+
+        this.items.splice(index, 1);
+        this.save();
+    }
+
+    move(fromIndex, toIndex) {
+        if (fromIndex === toIndex) return;
+        if (fromIndex < 0 || fromIndex >= this.items.length) return;
+        if (toIndex < 0 || toIndex >= this.items.length) return;
+
+        const [item] = this.items.splice(fromIndex, 1);
+        this.items.splice(toIndex, 0, item);
+        this.save();
+    }
+
+    take(index) {
+        if (index < 0 || index >= this.items.length) return null;
+
+        const [item] = this.items.splice(index, 1);
+        this.save();
+        return item;
+    }
+
+    shift() {
+        return this.take(0);
+    }
+
+    dequeue(guid) {
+        if (!this.has(guid)) return;
+
+        this.removeGuid(guid);
+        this.save();
+    }
+
+    clear() {
+        this.items = [];
+        this.save();
+    }
+
+    pushHistory(episode, podcast) {
+        this.history = this.history.filter(item => item.episode.guid !== episode.guid);
+        this.history.push(this.createEntry(episode, podcast));
+
+        if (this.history.length > QUEUE_HISTORY_LIMIT) {
+            this.history = this.history.slice(-QUEUE_HISTORY_LIMIT);
+        }
+
+        this.save();
+    }
+
+    popHistory() {
+        const item = this.history.pop() || null;
+        if (item) {
+            this.save();
+        }
+        return item;
+    }
+}
+
+const playbackQueue = new PlaybackQueue();
@@ -0,0 +1,130 @@
+// Routes kept in the URL hash:
+//   #/podcast/{id}                          id is the iTunes collection ID, or the feed URL
+//   #/podcast/{id}/episode/{guid}?t=123     t is a start time in seconds
+//   #/search?q=term
+function parseRoute(hash) {
+    const [path, queryString = ''] = hash.replace(/^#\/?/, '').split('?');
+    const segments = path.split('/').filter(Boolean).map(segment => {
+        try {
+            return decodeURIComponent(segment);
+        } catch (error) {
+            return segment;
+        }
+    });
+    const query = new URLSearchParams(queryString);
+
+    if (segments[0] === 'podcast' && segments[1]) {
+        const time = Number(query.get('t'));
+        return {
+            name: segments[2] === 'episode' && segments[3] ? 'episode' : 'podcast',
+            podcastId: segments[1],
+            guid: segments[2] === 'episode' ? segments[3] || null : null,
+            time: Number.isFinite(time) && time > 0 ? Math.floor(time) : 0
+        };
+    }
+
+    if (segments[0] === 'search' && query.get('q')) {
+        return { name: 'search', query: query.get('q') };
+    }
+
+    return { name: 'home' };
+}
+
+function buildRoute(route) {
+    switch (route.name) {
+        case 'podcast':
+        case 'episode': {
+            let hash = `#/podcast/${encodeURIComponent(route.podcastId)}`;
+            if (route.guid) {
+                hash += `/episode/${encodeURIComponent(route.guid)}`;
+                if (route.time > 0) {
+                    hash += `?t=${Math.floor(route.time)}`;
+                }
+            }
+            return hash;
+        }
+        case 'search':
+            return `#/search?${new URLSearchParams({ q: route.query })}`;
+        default:
+            return '#/';
+    }
+}
+
+function getRouteUrl(route) {
+    return `${location.origin}${location.pathname}${buildRoute(route)}`;
+}
+
+// Resolves with 'shared', 'copied', or null when the user dismissed the share sheet
+async function shareLink({ title, text, url }) {
+    if (navigator.share) {
+        try {
+            await navigator.share({ title, text, url });
+            return 'shared';
+        } catch (error) {
+            if (error.name === 'AbortError') return null;
+            console.warn('Web Share failed, copying instead:', error);
+        }
+    }
+
+    if (!navigator.clipboard) {
+        throw new Error('Sharing is not supported in this browser');
+    }
+    await navigator.clipboard.writeText(url);
+    return 'copied';
+}
+
+class Router {
+    constructor() {
+        this.listeners = new Set();
+
+        // Back/forward, and links typed into the address bar
+        window.addEventListener('popstate', () => this.notify());
+    }
+
+    onChange(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    notify() {
+        const route = this.getCurrent();
+        this.listeners.forEach(listener => {
+            try {
+                listener(route);
+            } catch (error) {
+                console.error('Router listener error:', error);
+            }
+        });
+    }
+
+    getCurrent() {
+        return parseRoute(location.hash);
+    }
+
+    isCurrent(route) {
+        return buildRoute(route) === buildRoute(this.getCurrent());
+    }
+
+    // The route being left is remembered so closing a view can step back to it
+    push(route) {
+        if (this.isCurrent(route)) return;
+        history.pushState({ from: buildRoute(this.getCurrent()) }, '', buildRoute(route));
+    }
+
+    replace(route) {
+        if (this.isCurrent(route)) return;
+        history.replaceState(history.state, '', buildRoute(route));
+    }
+
+    // Returns to the previous entry when it was ours and matches; otherwise
+    // rewrites the current one, so closing never leaves the app
+    leave(route) {
+        if (history.state && history.state.from === buildRoute(route)) {
+            history.back();
+        } else {
+            this.replace(route);
+        }
+    }
+}
+
+const router = new Router();
@@ -0,0 +1,132 @@
+const SEARCH_HISTORY_LIMIT = 20;
+const SEARCH_TITLES_LIMIT = 200;
+
+const DEFAULT_SEARCH_OPTIONS = {
+    attribute: '',
+    country: '',
+    hideExplicit: false,
+    minEpisodes: 0,
+    sort: 'relevance'
+};
+
+const SEARCH_ATTRIBUTES = {
+    '': 'Everything',
+    titleTerm: 'Title only',
+    authorTerm: 'Author'
+};
+
+function countActiveSearchOptions(options) {
+    return Object.keys(DEFAULT_SEARCH_OPTIONS).filter(key => options[key] !== DEFAULT_SEARCH_OPTIONS[key]).length;
+}
+
+// Filters the API can't apply itself; results come back in relevance order
+function applySearchOptions(podcasts, options) {
+    const filtered = podcasts.filter(podcast => {
+        if (options.hideExplicit && podcast.explicit) return false;
+        if (options.minEpisodes && podcast.trackCount < options.minEpisodes) return false;
+        return true;
+    });
+
+    if (options.sort === 'episodes') {
+        return [...filtered].sort((a, b) => b.trackCount - a.trackCount);
+    }
+    return filtered;
+}
+
+class SearchHistory {
+    constructor() {
+        this.queries = loadFromLocalStorage('searchHistory', []);
+        // Podcast names seen in earlier results, offered as typeahead suggestions
+        this.titles = loadFromLocalStorage('searchTitles', []);
+        this.options = { ...DEFAULT_SEARCH_OPTIONS, ...loadFromLocalStorage('searchOptions', {}) };
+        this.listeners = new Set();
+    }
+
+    onChange(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    notify() {
+        this.listeners.forEach(listener => {
+            try {
+                listener();
+            } catch (error) {
+                console.error('Search history listener error:', error);
+            }
+        });
+    }
+
+    getAll() {
+        return this.queries;
+    }
+
+    add(query, podcasts = []) {
+        const normalized = query.trim();
+        if (!normalized) return;
+
+        this.queries = [normalized, ...this.queries.filter(item => item.toLowerCase() !== normalized.toLowerCase())]
+            .slice(0, SEARCH_HISTORY_LIMIT);
+        saveToLocalStorage('searchHistory', this.queries);
+
+        const names = podcasts.map(podcast => podcast.name);
+        this.titles = [...new Set([...names, ...this.titles])].slice(0, SEARCH_TITLES_LIMIT);
+        saveToLocalStorage('searchTitles', this.titles);
+
+        this.notify();
+    }
+
+    remove(query) {
+        this.queries = this.queries.filter(item => item !== query);
+        saveToLocalStorage('searchHistory', this.queries);
+        this.notify();
+    }
+
+    clear() {
+        this.queries = [];
+        this.titles = [];
+        saveToLocalStorage('searchHistory', this.queries);
+        saveToLocalStorage('searchTitles', this.titles);
+        this.notify();
+    }
+
+    // Past queries first, then podcast names; prefix matches rank above substring matches
+    getSuggestions(text, limit = 8) {
+        const needle = text.trim().toLowerCase();
+        if (!needle) {
+            return this.queries.slice(0, limit).map(query => ({ type: 'history', text: query }));
+        }
+
+        const rank = value => {
+            const index = value.toLowerCase().indexOf(needle);
+            if (index < 0) return -1;
+            return index === 0 ? 0 : 1;
+        };
+        const matching = (values, type) => values
+            .filter(value => rank(value) >= 0 && value.toLowerCase() !== needle)
+            .sort((a, b) => rank(a) - rank(b))
+            .map(value => ({ type, text: value }));
+
+        const history = matching(this.queries, 'history');
+        const seen = new Set(history.map(item => item.text.toLowerCase()));
+        const titles = matching(this.titles, 'title').filter(item => !seen.has(item.text.toLowerCase()));
+
+        return history.concat(titles).slice(0, limit);
+    }
+
+    getOptions() {
+        return this.options;
+    }
+
+    setOption(key, value) {
+        this.options = { ...this.options, [key]: value };
+        saveToLocalStorage('searchOptions', this.options);
+    }
+
+    resetOptions() {
+        this.options = { ...DEFAULT_SEARCH_OPTIONS };
+        saveToLocalStorage('searchOptions', this.options);
+    }
+}
+
+const searchHistory = new SearchHistory();
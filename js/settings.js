@@ -0,0 +1,320 @@
+const APP_VERSION = '1.25.14';
+
+const SETTINGS_GROUPS = ['playback', 'library', 'network'];
+
+const formatSeconds = value => `${value} seconds`;
+const formatMinutes = value => {
+    if (value === 0) return 'Don\'t cache';
+    if (value < 60) return `${value} minutes`;
+    return value === 60 ? '1 hour' : `${value / 60} hours`;
+};
+
+// Storefronts offered for the Discover charts
+const CHART_COUNTRIES = ['us', 'gb', 'ca', 'au', 'ie', 'nz', 'in', 'de', 'at', 'ch', 'fr', 'es', 'it', 'nl', 'se', 'no', 'dk', 'br', 'mx', 'jp'];
+
+const formatCountry = code => {
+    try {
+        return new Intl.DisplayNames(['en'], { type: 'region' }).of(code.toUpperCase());
+    } catch (error) {
+        return code.toUpperCase();
+    }
+};
+
+function getDefaultChartCountry() {
+    const region = (navigator.language || '').split('-')[1];
+    return region && CHART_COUNTRIES.includes(region.toLowerCase()) ? region.toLowerCase() : 'us';
+}
+
+// Every tunable in the app. `options` only drive the Settings UI; any value
+// inside min/max is accepted (e.g. a speed picked on the player page).
+const SETTINGS_SCHEMA = {
+    skipBackSeconds: {
+        group: 'playback',
+        label: 'Skip back',
+        type: 'number',
+        default: 15,
+        min: 5,
+        max: 120,
+        options: [5, 10, 15, 30, 45, 60],
+        format: formatSeconds
+    },
+    skipForwardSeconds: {
+        group: 'playback',
+        label: 'Skip forward',
+        type: 'number',
+        default: 30,
+        min: 5,
+        max: 120,
+        options: [10, 15, 30, 45, 60, 90],
+        format: formatSeconds
+    },
+    playbackSpeed: {
+        group: 'playback',
+        label: 'Default speed',
+        type: 'number',
+        default: 1,
+        min: 0.5,
+        max: 3,
+        options: [0.8, 0.9, 1, 1.1, 1.2, 1.3, 1.5, 1.8, 2, 2.5, 3],
+        format: value => `${value}×`
+    },
+    playedThreshold: {
+        group: 'playback',
+        label: 'Mark as played after',
+        type: 'number',
+        default: 95,
+        min: 50,
+        max: 100,
+        options: [80, 90, 95, 98, 100],
+        format: value => (value === 100 ? 'Finished' : `${value}% listened`)
+    },
+    resumeWindowHours: {
+        group: 'playback',
+        label: 'Reopen last episode for',
+        type: 'number',
+        default: 24,
+        min: 0,
+        max: 8760,
+        options: [1, 6, 24, 72, 168, 0],
+        format: value => {
+            if (value === 0) return 'Always';
+            if (value < 24) return `${value} ${value === 1 ? 'hour' : 'hours'}`;
+            return `${value / 24} ${value === 24 ? 'day' : 'days'}`;
+        }
+    },
+    refreshInterval: {
+        group: 'library',
+        label: 'Check for new episodes',
+        type: 'number',
+        default: 60,
+        min: 0,
+        max: 1440,
+        options: [0, 15, 60, 360, 1440],
+        format: value => ({ 0: 'Manually', 15: 'Every 15 minutes', 60: 'Every hour', 360: 'Every 6 hours', 1440: 'Daily' }[value] || `Every ${value} minutes`)
+    },
+    downloadQuotaMB: {
+        group: 'library',
+        label: 'Download storage limit',
+        type: 'number',
+        default: 1024,
+        min: 0,
+        max: 102400,
+        options: [512, 1024, 2048, 5120, 0],
+        format: value => (value === 0 ? 'Unlimited' : formatBytes(value * 1024 * 1024))
+    },
+    searchLimit: {
+        group: 'network',
+        label: 'Search results',
+        type: 'number',
+        default: 50,
+        min: 10,
+        max: 200,
+        options: [25, 50, 100, 200],
+        format: value => `${value} podcasts`
+    },
+    searchCacheMinutes: {
+        group: 'network',
+        label: 'Keep search results for',
+        type: 'number',
+        default: 15,
+        min: 0,
+        max: 1440,
+        options: [0, 5, 15, 60, 360],
+        format: formatMinutes
+    },
+    chartsCacheMinutes: {
+        group: 'network',
+        label: 'Keep top charts for',
+        type: 'number',
+        default: 60,
+        min: 0,
+        max: 1440,
+        options: [0, 15, 60, 360, 1440],
+        format: formatMinutes
+    },
+    podcastCacheMinutes: {
+        group: 'network',
+        label: 'Keep podcast details for',
+        type: 'number',
+        default: 30,
+        min: 0,
+        max: 1440,
+        options: [0, 15, 30, 60, 360, 1440],
+        format: formatMinutes
+    },
+    episodesCacheMinutes: {
+        group: 'network',
+        label: 'Keep episode lists for',
+        type: 'number',
+        default: 30,
+        min: 0,
+        max: 1440,
+        options: [0, 15, 30, 60, 360],
+        format: formatMinutes
+    },
+    cacheLimitMB: {
+        group: 'network',
+        label: 'Cache size limit',
+        type: 'number',
+        default: 50,
+        min: 5,
+        max: 1024,
+        options: [10, 25, 50, 100, 250],
+        format: value => formatBytes(value * 1024 * 1024)
+    },
+    chartsCountry: {
+        group: 'network',
+        label: 'Top charts region',
+        type: 'string',
+        default: getDefaultChartCountry(),
+        options: CHART_COUNTRIES,
+        format: formatCountry,
+        validate: value => {
+            if (!CHART_COUNTRIES.includes(value)) {
+                throw new Error('Choose one of the listed regions');
+            }
+        }
+    },
+    // Edited through its own form on the Settings page
+    corsProxy: {
+        group: 'network',
+        label: 'CORS proxy',
+        type: 'string',
+        default: '',
+        validate: value => {
+            if (value && !isValidUrl(podcastAPI.buildProxyUrl('https://example.com/feed.xml', value))) {
+                throw new Error('Proxy must be a valid URL, e.g. https://proxy.example.com/?url={url}');
+            }
+        }
+    }
+};
+
+class Settings {
+    constructor() {
+        this.listeners = new Set();
+        this.values = this.load();
+    }
+
+    load() {
+        let stored = loadFromLocalStorage('settings', null);
+        if (!stored) {
+            stored = this.migrateLegacyPreferences();
+        }
+
+        // Full validation needs other modules; at startup only drop values of the wrong type
+        const values = {};
+        Object.keys(stored).forEach(key => {
+            const definition = SETTINGS_SCHEMA[key];
+            if (definition && typeof stored[key] === definition.type) {
+                values[key] = stored[key];
+            }
+        });
+        return values;
+    }
+
+    // Earlier versions kept a loose 'preferences' object with the same keys
+    migrateLegacyPreferences() {
+        const legacy = loadFromLocalStorage('preferences', {});
+        const migrated = {};
+
+        Object.keys(legacy).forEach(key => {
+            if (SETTINGS_SCHEMA[key]) {
+                migrated[key] = legacy[key];
+            }
+        });
+
+        saveToLocalStorage('settings', migrated);
+        localStorage.removeItem('preferences');
+        return migrated;
+    }
+
+    onChange(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    notify(key, value) {
+        this.listeners.forEach(listener => {
+            try {
+                listener(key, value);
+            } catch (error) {
+                console.error('Settings listener error:', error);
+            }
+        });
+    }
+
+    getDefinition(key) {
+        const definition = SETTINGS_SCHEMA[key];
+        if (!definition) {
+            throw new Error(`Unknown setting: ${key}`);
+        }
+        return definition;
+    }
+
+    get(key) {
+        const definition = this.getDefinition(key);
+        return Object.prototype.hasOwnProperty.call(this.values, key) ? this.values[key] : definition.default;
+    }
+
+    getAll() {
+        const all = {};
+        Object.keys(SETTINGS_SCHEMA).forEach(key => {
+            all[key] = this.get(key);
+        });
+        return all;
+    }
+
+    // Returns the normalized value or throws with a message fit for the UI
+    validate(key, value) {
+        const definition = this.getDefinition(key);
+
+        if (definition.type === 'number') {
+            const number = Number(value);
+            if (value === '' || value === null || !isFinite(number)) {
+                throw new Error(`${definition.label} must be a number`);
+            }
+            if (number < definition.min || number > definition.max) {
+                throw new Error(`${definition.label} must be between ${definition.min} and ${definition.max}`);
+            }
+            return number;
+        }
+
+        if (definition.type === 'boolean') {
+            return Boolean(value);
+        }
+
+        const text = String(value === null || value === undefined ? '' : value).trim();
+        if (definition.validate) {
+            definition.validate(text);
+        }
+        return text;
+    }
+
+    set(key, value) {
+        const normalized = this.validate(key, value);
+        if (normalized === this.get(key)) return;
+
+        // Only values that differ from the default are stored, so new defaults reach existing users
+        if (normalized === this.getDefinition(key).default) {
+            delete this.values[key];
+        } else {
+            this.values[key] = normalized;
+        }
+        saveToLocalStorage('settings', this.values);
+        this.notify(key, normalized);
+    }
+
+    reset() {
+        const previous = this.getAll();
+        this.values = {};
+        saveToLocalStorage('settings', this.values);
+
+        Object.keys(previous).forEach(key => {
+            if (previous[key] !== this.get(key)) {
+                this.notify(key, this.get(key));
+            }
+        });
+    }
+}
+
+const settings = new Settings();
@@ -0,0 +1,119 @@
+const SHORTCUT_ACTIONS = [
+    { id: 'playPause', label: 'Play / pause', keys: [' ', 'k'] },
+    { id: 'skipBack', label: 'Skip back', keys: ['ArrowLeft', 'j'] },
+    { id: 'skipForward', label: 'Skip forward', keys: ['ArrowRight', 'l'] },
+    { id: 'previousChapter', label: 'Previous chapter', keys: ['['] },
+    { id: 'nextChapter', label: 'Next chapter', keys: [']'] },
+    { id: 'speedDown', label: 'Slower', keys: ['<'] },
+    { id: 'speedUp', label: 'Faster', keys: ['>'] },
+    { id: 'volumeDown', label: 'Volume down', keys: ['ArrowDown'] },
+    { id: 'volumeUp', label: 'Volume up', keys: ['ArrowUp'] },
+    { id: 'mute', label: 'Mute', keys: ['m'] },
+    { id: 'search', label: 'Search', keys: ['/'] },
+    { id: 'help', label: 'Show keyboard shortcuts', keys: ['?'] }
+];
+
+// Digits always jump to 0–90% and Escape always closes; neither can be reassigned
+const RESERVED_KEYS = ['0', '1', '2', '3', '4', '5', '6', '7', '8', '9', 'Escape', 'Tab', 'Enter'];
+
+const KEY_LABELS = {
+    ' ': 'Space',
+    ArrowLeft: '←',
+    ArrowRight: '→',
+    ArrowUp: '↑',
+    ArrowDown: '↓'
+};
+
+class KeyboardShortcuts {
+    constructor() {
+        this.overrides = loadFromLocalStorage('keyboardShortcuts', {});
+        this.capturing = null;
+        this.listeners = new Set();
+    }
+
+    onChange(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    notify() {
+        this.listeners.forEach(listener => {
+            try {
+                listener();
+            } catch (error) {
+                console.error('Shortcut listener error:', error);
+            }
+        });
+    }
+
+    getKeys(actionId) {
+        if (this.overrides[actionId]) {
+            return this.overrides[actionId];
+        }
+        const action = SHORTCUT_ACTIONS.find(item => item.id === actionId);
+        return action ? action.keys : [];
+    }
+
+    getActions() {
+        return SHORTCUT_ACTIONS.map(action => ({ ...action, keys: this.getKeys(action.id) }));
+    }
+
+    normalizeKey(key) {
+        return key.length === 1 ? key.toLowerCase() : key;
+    }
+
+    formatKey(key) {
+        return KEY_LABELS[key] || (key.length === 1 ? key.toUpperCase() : key);
+    }
+
+    isTypingTarget(target) {
+        return Boolean(target) && (
+            target.tagName === 'INPUT' ||
+            target.tagName === 'TEXTAREA' ||
+            target.tagName === 'SELECT' ||
+            target.isContentEditable
+        );
+    }
+
+    // Returns the action bound to a keydown event, or null
+    match(event) {
+        if (this.capturing || event.ctrlKey || event.metaKey || event.altKey) {
+            return null;
+        }
+
+        const key = this.normalizeKey(event.key);
+        const action = SHORTCUT_ACTIONS.find(item => this.getKeys(item.id).includes(key));
+        return action ? action.id : null;
+    }
+
+    isReserved(key) {
+        return RESERVED_KEYS.includes(key);
+    }
+
+    // A key belongs to at most one action, so assigning it unbinds it elsewhere
+    setKey(actionId, key) {
+        const normalized = this.normalizeKey(key);
+        if (this.isReserved(normalized)) {
+            throw new Error(`${this.formatKey(normalized)} is reserved and cannot be assigned`);
+        }
+
+        SHORTCUT_ACTIONS.forEach(action => {
+            const keys = this.getKeys(action.id);
+            if (action.id !== actionId && keys.includes(normalized)) {
+                this.overrides[action.id] = keys.filter(item => item !== normalized);
+            }
+        });
+        this.overrides[actionId] = [normalized];
+
+        saveToLocalStorage('keyboardShortcuts', this.overrides);
+        this.notify();
+    }
+
+    reset() {
+        this.overrides = {};
+        saveToLocalStorage('keyboardShortcuts', this.overrides);
+        this.notify();
+    }
+}
+
+const keyboardShortcuts = new KeyboardShortcuts();
@@ -0,0 +1,187 @@
+// Tags kept from feed HTML, with the attributes each may carry. Anything not
+// listed is unwrapped (its text survives) unless it is in SHOW_NOTES_DROPPED_TAGS.
+const SHOW_NOTES_ALLOWED_TAGS = {
+    a: ['href', 'title'],
+    b: [],
+    blockquote: [],
+    br: [],
+    code: [],
+    em: [],
+    h1: [],
+    h2: [],
+    h3: [],
+    h4: [],
+    h5: [],
+    h6: [],
+    hr: [],
+    i: [],
+    img: ['src', 'alt', 'width', 'height'],
+    li: [],
+    ol: [],
+    p: [],
+    pre: [],
+    s: [],
+    strong: [],
+    sub: [],
+    sup: [],
+    u: [],
+    ul: []
+};
+
+// Removed together with everything inside them
+const SHOW_NOTES_DROPPED_TAGS = ['script', 'style', 'iframe', 'object', 'embed', 'form', 'input', 'button',
+    'select', 'textarea', 'noscript', 'template', 'svg', 'math', 'audio', 'video', 'link', 'meta', 'head', 'title'];
+
+// Feed headings would outrank the page's own, so they are all shown as h4
+const SHOW_NOTES_HEADINGS = ['h1', 'h2', 'h3', 'h4', 'h5', 'h6'];
+
+// 1:02:03, 12:34 or 0:45, not part of a longer number like a date or a version
+const TIMESTAMP_PATTERN = /(^|[^\d:.])((?:(\d{1,2}):)?(\d{1,3}):([0-5]\d))(?![\d:])/g;
+const URL_PATTERN = /\bhttps?:\/\/[^\s<>"']+[^\s<>"'.,;:!?)\]]/g;
+
+function parseTimestampMatch(hours, minutes, seconds) {
+    if (hours !== undefined && Number(minutes) > 59) return null;
+    return (Number(hours) || 0) * 3600 + Number(minutes) * 60 + Number(seconds);
+}
+
+function getSafeUrl(value, schemes) {
+    try {
+        const url = new URL(value, 'https://invalid.invalid/');
+        return schemes.includes(url.protocol) && url.hostname !== 'invalid.invalid' ? url.href : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+// Plain-text notes (itunes:summary) only get their paragraphs and line breaks back
+function getShowNotesHtml(text) {
+    if (/<[a-z][^>]*>/i.test(text)) return text;
+
+    return text
+        .split(/\n\s*\n/)
+        .map(paragraph => `<p>${escapeHtml(paragraph.trim()).replace(/\n/g, '<br>')}</p>`)
+        .join('');
+}
+
+// Builds a clean copy of the notes rather than filtering the parsed tree in
+// place; DOMParser documents are inert, so nothing in them runs or loads.
+function sanitizeShowNotes(html, options = {}) {
+    const source = new DOMParser().parseFromString(getShowNotesHtml(html || ''), 'text/html');
+    const fragment = document.createDocumentFragment();
+
+    Array.from(source.body.childNodes).forEach(node => {
+        appendSanitizedNode(fragment, node, options);
+    });
+
+    return fragment;
+}
+
+function appendSanitizedNode(parent, node, options) {
+    if (node.nodeType === Node.TEXT_NODE) {
+        appendText(parent, node.textContent, options);
+        return;
+    }
+    if (node.nodeType !== Node.ELEMENT_NODE) return;
+
+    const tag = node.tagName.toLowerCase();
+    if (SHOW_NOTES_DROPPED_TAGS.includes(tag)) return;
+
+    const element = SHOW_NOTES_ALLOWED_TAGS[tag] ? createSanitizedElement(node, tag) : null;
+    if (element === false) return;
+
+    const target = element || parent;
+    Array.from(node.childNodes).forEach(child => {
+        appendSanitizedNode(target, child, element && tag === 'a' ? { ...options, inLink: true } : options);
+    });
+
+    if (element) {
+        parent.appendChild(element);
+    }
+}
+
+// Returns the clean element; null unwraps the node (keeping its text) and false drops it
+function createSanitizedElement(node, tag) {
+    const element = document.createElement(SHOW_NOTES_HEADINGS.includes(tag) ? 'h4' : tag);
+
+    SHOW_NOTES_ALLOWED_TAGS[tag].forEach(attribute => {
+        const value = node.getAttribute(attribute);
+        if (value !== null && attribute !== 'href' && attribute !== 'src') {
+            element.setAttribute(attribute, value);
+        }
+    });
+
+    if (tag === 'a') {
+        const href = getSafeUrl(node.getAttribute('href'), ['http:', 'https:', 'mailto:']);
+        if (!href) return null;
+
+        element.href = href;
+        element.target = '_blank';
+        element.rel = 'noopener noreferrer nofollow';
+    }
+
+    if (tag === 'img') {
+        const src = getSafeUrl(node.getAttribute('src'), ['https:', 'http:']);
+        if (!src) return false;
+
+        // Lazy and without a referrer, so opening notes doesn't ping every tracker in them
+        element.src = src;
+        element.loading = 'lazy';
+        element.decoding = 'async';
+        element.referrerPolicy = 'no-referrer';
+        element.alt = node.getAttribute('alt') || '';
+    }
+
+    return element;
+}
+
+// Turns timestamps into seek buttons and bare URLs into links
+function appendText(parent, text, options) {
+    if (options.inLink) {
+        parent.appendChild(document.createTextNode(text));
+        return;
+    }
+
+    const tokens = Array.from(text.matchAll(URL_PATTERN), match => ({
+        start: match.index,
+        end: match.index + match[0].length,
+        url: match[0]
+    }));
+
+    for (const match of text.matchAll(TIMESTAMP_PATTERN)) {
+        const [whole, prefix, timestamp, hours, minutes, seconds] = match;
+        const start = match.index + prefix.length;
+        const end = match.index + whole.length;
+        const time = parseTimestampMatch(hours, minutes, seconds);
+
+        // Times past the end of the episode are more likely clock times or scores
+        const plausible = time !== null && (!options.duration || time <= options.duration);
+        if (plausible && !tokens.some(token => start < token.end && end > token.start)) {
+            tokens.push({ start, end, time, text: timestamp });
+        }
+    }
+    tokens.sort((a, b) => a.start - b.start);
+
+    let position = 0;
+    tokens.forEach(token => {
+        parent.appendChild(document.createTextNode(text.slice(position, token.start)));
+
+        if (token.url) {
+            const link = document.createElement('a');
+            link.href = token.url;
+            link.target = '_blank';
+            link.rel = 'noopener noreferrer nofollow';
+            link.textContent = token.url;
+            parent.appendChild(link);
+        } else {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'timestamp-link';
+            button.dataset.seek = token.time;
+            button.textContent = token.text;
+            button.setAttribute('aria-label', `Play from ${token.text}`);
+            parent.appendChild(button);
+        }
+        position = token.end;
+    });
+    parent.appendChild(document.createTextNode(text.slice(position)));
+}
@@ -0,0 +1,194 @@
+const SLEEP_FADE_DURATION = 60000;
+const SLEEP_EXTEND_MINUTES = 5;
+const SLEEP_SHAKE_THRESHOLD = 15;
+const SLEEP_SHAKE_COOLDOWN = 1500;
+
+class SleepTimer {
+    constructor() {
+        this.mode = null;
+        this.endsAt = 0;
+        this.interval = null;
+        this.fadeVolume = null;
+        this.warned = false;
+        this.lastShake = 0;
+        this.listeners = new Set();
+        this.onMotion = (event) => this.handleMotion(event);
+    }
+
+    onChange(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    notify() {
+        this.listeners.forEach(listener => {
+            try {
+                listener(this.getStatus());
+            } catch (error) {
+                console.error('Sleep timer listener error:', error);
+            }
+        });
+    }
+
+    isActive() {
+        return this.mode !== null;
+    }
+
+    // Milliseconds of playback left before the timer stops it
+    getRemaining() {
+        if (this.mode === 'duration') {
+            return Math.max(0, this.endsAt - Date.now());
+        }
+        if (this.mode === 'episode') {
+            const audio = audioPlayer.audio;
+            if (!audio.duration || !isFinite(audio.duration)) return null;
+            return Math.max(0, (audio.duration - audio.currentTime) / (audio.playbackRate || 1) * 1000);
+        }
+        return null;
+    }
+
+    getStatus() {
+        return {
+            mode: this.mode,
+            remaining: this.getRemaining(),
+            fading: this.fadeVolume !== null
+        };
+    }
+
+    start(minutes) {
+        this.begin('duration');
+        this.endsAt = Date.now() + minutes * 60000;
+        announceToScreenReader(`Sleep timer set for ${minutes} minutes`);
+    }
+
+    startEndOfEpisode() {
+        this.begin('episode');
+        announceToScreenReader('Playback will stop at the end of this episode');
+    }
+
+    begin(mode) {
+        this.stop();
+        this.mode = mode;
+        this.warned = false;
+        this.interval = setInterval(() => this.tick(), 1000);
+        this.listenForShake();
+        this.notify();
+    }
+
+    cancel() {
+        if (!this.isActive()) return;
+
+        this.stop();
+        this.notify();
+        announceToScreenReader('Sleep timer off');
+    }
+
+    stop() {
+        if (this.interval) {
+            clearInterval(this.interval);
+            this.interval = null;
+        }
+        window.removeEventListener('devicemotion', this.onMotion);
+        this.restoreVolume();
+        this.mode = null;
+        this.endsAt = 0;
+    }
+
+    extend(minutes = SLEEP_EXTEND_MINUTES) {
+        if (!this.isActive()) return;
+
+        // Extending "end of episode" turns it into a fixed timer past the episode's end
+        const remaining = this.getRemaining() || 0;
+        this.mode = 'duration';
+        this.endsAt = Date.now() + remaining + minutes * 60000;
+        this.warned = false;
+        this.restoreVolume();
+        this.tick();
+
+        announceToScreenReader(`Sleep timer extended. ${formatDuration(this.getRemaining() / 1000)} remaining`);
+    }
+
+    tick() {
+        const remaining = this.getRemaining();
+
+        if (this.mode === 'duration' && remaining <= 0) {
+            this.expire();
+            return;
+        }
+
+        if (remaining !== null && remaining <= SLEEP_FADE_DURATION && audioPlayer.isCurrentlyPlaying()) {
+            this.fade(remaining / SLEEP_FADE_DURATION);
+
+            if (!this.warned) {
+                this.warned = true;
+                announceToScreenReader('Sleep timer: less than a minute left. Shake or tap to extend.');
+            }
+        }
+
+        this.notify();
+    }
+
+    fade(level) {
+        const audio = audioPlayer.audio;
+        if (this.fadeVolume === null) {
+            this.fadeVolume = audio.volume;
+        }
+        audio.volume = Math.max(0, Math.min(1, this.fadeVolume * level));
+    }
+
+    restoreVolume() {
+        if (this.fadeVolume !== null) {
+            audioPlayer.audio.volume = this.fadeVolume;
+            this.fadeVolume = null;
+        }
+    }
+
+    expire() {
+        audioPlayer.pause();
+        this.stop();
+        this.notify();
+        announceToScreenReader('Sleep timer ended. Playback paused.');
+    }
+
+    // Called from AudioPlayer.onEnded; returns true when playback should stop there
+    handleEpisodeEnded() {
+        if (this.mode !== 'episode') return false;
+
+        this.expire();
+        return true;
+    }
+
+    listenForShake() {
+        if (!('DeviceMotionEvent' in window)) return;
+
+        // iOS only delivers motion events after an explicit permission prompt,
+        // which has to come from the tap that started the timer.
+        if (typeof DeviceMotionEvent.requestPermission === 'function') {
+            DeviceMotionEvent.requestPermission()
+                .then(state => {
+                    if (state === 'granted' && this.isActive()) {
+                        window.addEventListener('devicemotion', this.onMotion);
+                    }
+                })
+                .catch(() => {});
+            return;
+        }
+
+        window.addEventListener('devicemotion', this.onMotion);
+    }
+
+    handleMotion(event) {
+        const acceleration = event.acceleration;
+        if (!acceleration || acceleration.x === null) return;
+
+        const magnitude = Math.sqrt(acceleration.x ** 2 + acceleration.y ** 2 + acceleration.z ** 2);
+        const now = Date.now();
+
+        if (magnitude > SLEEP_SHAKE_THRESHOLD && now - this.lastShake > SLEEP_SHAKE_COOLDOWN) {
+            this.lastShake = now;
+            this.extend();
+        }
+    }
+}
+
+const sleepTimer = new SleepTimer();
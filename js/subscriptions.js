@@ -0,0 +1,184 @@
+function getPodcastKey(podcast) {
+    if (!podcast) return '';
+    return String(podcast.id || podcast.feedUrl || '');
+}
+
+function getPodcastRef(podcast) {
+    if (!podcast) return null;
+
+    return {
+        id: getPodcastKey(podcast),
+        name: podcast.name || '',
+        artistName: podcast.artistName || '',
+        artwork: podcast.artwork || '',
+        feedUrl: podcast.feedUrl || ''
+    };
+}
+
+class SubscriptionManager {
+    constructor() {
+        this.subscriptions = new Map();
+        this.listeners = new Set();
+        this.ready = this.load();
+
+        episodeStateStore.onChange(podcastId => {
+            if (podcastId) {
+                this.recountUnplayed(podcastId);
+            }
+        });
+    }
+
+    async load() {
+        try {
+            const records = await appDB.getAll('subscriptions');
+            records.forEach(record => this.subscriptions.set(record.id, record));
+            await this.migratePlayedGuids(records);
+        } catch (error) {
+            console.error('Error loading subscriptions:', error);
+        }
+    }
+
+    // Played episodes used to be tracked as a guid list on each subscription;
+    // they now live in the per-episode state store.
+    async migratePlayedGuids(records) {
+        const legacy = records.filter(record => Array.isArray(record.playedGuids));
+        if (legacy.length === 0) return;
+
+        await episodeStateStore.ready;
+
+        for (const record of legacy) {
+            await episodeStateStore.markPlayed(record.playedGuids, record.id);
+
+            const { playedGuids, ...subscription } = record;
+            await appDB.put('subscriptions', subscription);
+            this.subscriptions.set(subscription.id, subscription);
+        }
+    }
+
+    onChange(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    notify() {
+        this.listeners.forEach(listener => {
+            try {
+                listener(this.getAll());
+            } catch (error) {
+                console.error('Subscription listener error:', error);
+            }
+        });
+    }
+
+    isSubscribed(podcast) {
+        return this.subscriptions.has(getPodcastKey(podcast));
+    }
+
+    get(podcastKey) {
+        return this.subscriptions.get(String(podcastKey)) || null;
+    }
+
+    findByFeedUrl(feedUrl) {
+        return this.getAll().find(subscription => subscription.feedUrl === feedUrl) || null;
+    }
+
+    getAll() {
+        return Array.from(this.subscriptions.values())
+            .sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    async subscribe(podcast) {
+        const id = getPodcastKey(podcast);
+        if (!id) {
+            throw new Error('Podcast cannot be followed without an ID or feed URL');
+        }
+
+        if (this.subscriptions.has(id)) {
+            return this.subscriptions.get(id);
+        }
+
+        const subscription = {
+            id: id,
+            itunesId: podcast.id || null,
+            name: podcast.name,
+            artistName: podcast.artistName,
+            description: podcast.description,
+            artwork: podcast.artwork,
+            feedUrl: podcast.feedUrl,
+            primaryGenreName: podcast.primaryGenreName,
+            genreIds: podcast.genreIds || [],
+            subscribedAt: Date.now(),
+            unplayedCount: 0
+        };
+
+        await appDB.put('subscriptions', subscription);
+        this.subscriptions.set(id, subscription);
+        this.notify();
+
+        return subscription;
+    }
+
+    async unsubscribe(podcast) {
+        const id = getPodcastKey(podcast);
+        if (!this.subscriptions.has(id)) return;
+
+        await appDB.delete('subscriptions', id);
+        this.subscriptions.delete(id);
+        this.notify();
+    }
+
+    async update(podcastKey, changes) {
+        const existing = this.get(podcastKey);
+        if (!existing) return null;
+
+        const updated = { ...existing, ...changes };
+        await appDB.put('subscriptions', updated);
+        this.subscriptions.set(updated.id, updated);
+        this.notify();
+
+        return updated;
+    }
+
+    countUnplayed(guids) {
+        return guids.filter(guid => !episodeStateStore.isPlayed(guid)).length;
+    }
+
+    async updateUnplayedCount(podcastKey, guids) {
+        const subscription = this.get(podcastKey);
+        if (!subscription) return;
+
+        const unplayedCount = this.countUnplayed(guids);
+        if (unplayedCount !== subscription.unplayedCount) {
+            await this.update(podcastKey, { unplayedCount });
+        }
+    }
+
+    // Recounts use the episode list stored by the last feed sync, so they
+    // never download a feed; feed-refresh.js keeps that list current.
+    async recountUnplayed(podcastKey) {
+        const subscription = this.get(podcastKey);
+        if (!subscription || !subscription.feedUrl) return;
+
+        try {
+            const feedState = await appDB.get('feeds', subscription.feedUrl);
+            if (feedState) {
+                await this.updateUnplayedCount(podcastKey, feedState.seenGuids);
+            }
+        } catch (error) {
+            console.warn(`Unable to recount ${subscription.name}:`, error);
+        }
+    }
+
+    async refreshUnplayedCounts() {
+        try {
+            const feedStates = await appDB.getAll('feeds');
+            for (const feedState of feedStates) {
+                await this.updateUnplayedCount(feedState.podcastId, feedState.seenGuids);
+            }
+        } catch (error) {
+            console.warn('Unable to refresh unplayed counts:', error);
+        }
+    }
+}
+
+const subscriptionManager = new SubscriptionManager();
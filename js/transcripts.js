@@ -0,0 +1,148 @@
+// Preferred first; HTML and plain-text transcripts carry no timing so they are not offered
+const TRANSCRIPT_FORMATS = [
+    { type: 'application/json', parse: text => parseJSONTranscript(text) },
+    { type: 'text/vtt', parse: text => parseTimedText(text) },
+    { type: 'application/x-subrip', parse: text => parseTimedText(text) },
+    { type: 'application/srt', parse: text => parseTimedText(text) },
+    { type: 'text/srt', parse: text => parseTimedText(text) }
+];
+const TRANSCRIPT_CUE_MAX_LENGTH = 240;
+
+const transcriptCache = new Map();
+
+function selectTranscript(episode) {
+    const transcripts = (episode && episode.transcripts) || [];
+
+    for (const format of TRANSCRIPT_FORMATS) {
+        const match = transcripts.find(transcript => transcript.type.toLowerCase().split(';')[0].trim() === format.type);
+        if (match) {
+            return { ...match, parse: format.parse };
+        }
+    }
+    return null;
+}
+
+async function loadTranscript(episode) {
+    const transcript = selectTranscript(episode);
+    if (!transcript) return [];
+
+    if (!transcriptCache.has(episode.guid)) {
+        transcriptCache.set(episode.guid, fetchTranscript(transcript).catch(error => {
+            console.warn('Error loading transcript:', error);
+            transcriptCache.delete(episode.guid);
+            return [];
+        }));
+    }
+
+    return transcriptCache.get(episode.guid);
+}
+
+async function fetchTranscript(transcript) {
+    const response = await podcastAPI.fetchWithFallback(transcript.url);
+    if (!response.ok) {
+        throw new Error(`HTTP error! status: ${response.status}`);
+    }
+
+    const cues = transcript.parse(await response.text());
+    return cues
+        .filter(cue => cue.text && !isNaN(cue.startTime))
+        .sort((a, b) => a.startTime - b.startTime);
+}
+
+function getCueIndex(cues, time) {
+    let low = 0;
+    let high = cues.length - 1;
+    let index = -1;
+
+    while (low <= high) {
+        const mid = (low + high) >> 1;
+        if (cues[mid].startTime <= time) {
+            index = mid;
+            low = mid + 1;
+        } else {
+            high = mid - 1;
+        }
+    }
+    return index;
+}
+
+// Accepts WebVTT (hh:mm:ss.mmm or mm:ss.mmm) and SRT (hh:mm:ss,mmm) timestamps
+function parseTimestamp(value) {
+    const parts = value.trim().replace(',', '.').split(':').map(parseFloat);
+    if (parts.some(isNaN)) return NaN;
+
+    return parts.reduce((total, part) => total * 60 + part, 0);
+}
+
+// WebVTT and SRT share the same block layout: an optional identifier line,
+// a "start --> end" timing line, then the cue text up to a blank line.
+function parseTimedText(text) {
+    const blocks = text.replace(/\r\n?/g, '\n').split(/\n{2,}/);
+    const cues = [];
+
+    blocks.forEach(block => {
+        const lines = block.split('\n');
+        const timingIndex = lines.findIndex(line => line.includes('-->'));
+        if (timingIndex < 0) return;
+
+        const [start, end] = lines[timingIndex].split('-->');
+        let speaker = '';
+        const cueText = lines.slice(timingIndex + 1).join(' ')
+            .replace(/<v(?:\.[^\s>]+)*\s+([^>]+)>/g, (match, name) => {
+                speaker = speaker || name.trim();
+                return '';
+            })
+            .replace(/<[^>]+>/g, '')
+            .replace(/\s+/g, ' ')
+            .trim();
+
+        cues.push({
+            startTime: parseTimestamp(start),
+            // Cue settings may follow the end timestamp on the same line
+            endTime: parseTimestamp(end.trim().split(/\s+/)[0]),
+            speaker: speaker,
+            text: stripHtml(cueText)
+        });
+    });
+
+    return cues;
+}
+
+// https://github.com/Podcastindex-org/podcast-namespace/blob/main/transcripts/transcripts.md
+// Segments are often single words, so consecutive segments from the same
+// speaker are joined into sentence-sized cues.
+function parseJSONTranscript(text) {
+    const data = JSON.parse(text);
+    if (!data || !Array.isArray(data.segments)) {
+        throw new Error('Invalid transcript file');
+    }
+
+    const cues = [];
+    let current = null;
+
+    data.segments.forEach(segment => {
+        const body = String(segment.body || '').trim();
+        if (!body) return;
+
+        const speaker = segment.speaker || '';
+        const continues = current &&
+            speaker === current.speaker &&
+            !/[.!?]$/.test(current.text) &&
+            current.text.length < TRANSCRIPT_CUE_MAX_LENGTH;
+
+        if (continues) {
+            current.text += ` ${body}`;
+            current.endTime = Number(segment.endTime);
+        } else {
+            current = {
+                startTime: Number(segment.startTime),
+                endTime: Number(segment.endTime),
+                speaker: speaker,
+                text: body
+            };
+            cues.push(current);
+        }
+    });
+
+    return cues;
+}
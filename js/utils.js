@@ -45,6 +45,27 @@ function stripHtml(html) {
     return tmp.textContent || tmp.innerText || '';
 }
 
+function escapeHtml(text) {
+    if (text === null || text === undefined) return '';
+
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+function formatBytes(bytes) {
+    if (!bytes || bytes < 0) return '0 MB';
+
+    const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+    const exponent = Math.min(Math.floor(Math.log(bytes) / Math.log(1024)), units.length - 1);
+    const value = bytes / Math.pow(1024, exponent);
+
+    return `${value >= 10 || exponent === 0 ? Math.round(value) : value.toFixed(1)} ${units[exponent]}`;
+}
+
 function truncateText(text, maxLength = 150) {
     if (!text || text.length <= maxLength) return text;
 
@@ -110,34 +131,27 @@ function loadFromLocalStorage(key, defaultValue = null) {
     }
 }
 
-function getCachedData(key, maxAge = 3600000) {
-    try {
-        const cached = localStorage.getItem(key);
-        if (!cached) return null;
+function downloadFile(filename, content, mimeType = 'application/octet-stream') {
+    const blob = content instanceof Blob ? content : new Blob([content], { type: mimeType });
+    const url = URL.createObjectURL(blob);
 
-        const data = JSON.parse(cached);
-        if (Date.now() - data.timestamp > maxAge) {
-            localStorage.removeItem(key);
-            return null;
-        }
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
 
-        return data.value;
-    } catch (error) {
-        console.error('Error getting cached data:', error);
-        return null;
-    }
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
 }
 
-function setCachedData(key, value) {
-    try {
-        const data = {
-            value: value,
-            timestamp: Date.now()
-        };
-        localStorage.setItem(key, JSON.stringify(data));
-    } catch (error) {
-        console.error('Error setting cached data:', error);
-    }
+function readFileAsText(file) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.onerror = () => reject(reader.error);
+        reader.readAsText(file);
+    });
 }
 
 function parseXMLFromString(xmlString) {
@@ -198,6 +212,28 @@ function isValidUrl(string) {
     }
 }
 
+// Accepts http(s) URLs plus the feed:, itpc: and pcast: schemes some sites
+// use for "subscribe" links, which are rewritten to plain https.
+function normalizeFeedUrl(string) {
+    if (!string) return null;
+
+    const trimmed = string.trim().replace(/^(feed|itpc|pcast):(\/\/)?/i, 'https://');
+    if (!/^https?:\/\//i.test(trimmed) || !isValidUrl(trimmed)) {
+        return null;
+    }
+
+    return trimmed;
+}
+
+function encodeBase64(text) {
+    const bytes = new TextEncoder().encode(text);
+    let binary = '';
+    bytes.forEach(byte => {
+        binary += String.fromCharCode(byte);
+    });
+    return btoa(binary);
+}
+
 function extractErrorMessage(error) {
     if (typeof error === 'string') return error;
     if (error?.message) return error.message;
@@ -0,0 +1,118 @@
+// Extra pixels rendered above and below the viewport so fast scrolling
+// does not reveal blank space before the next frame.
+const VIRTUAL_LIST_OVERSCAN = 800;
+
+// Renders only the rows near the visible part of a scroll container. Rows may
+// differ in height: unseen rows use an estimate until they have been rendered
+// once and measured, and the space they take is reserved with padding.
+class VirtualList {
+    constructor(container, options) {
+        this.container = container;
+        this.scrollContainer = options.scrollContainer;
+        this.renderItem = options.renderItem;
+        this.getKey = options.getKey;
+        this.estimateHeight = options.estimateHeight;
+
+        this.items = [];
+        this.heights = new Map();
+        this.inner = null;
+        this.start = 0;
+        this.end = 0;
+        this.frame = null;
+
+        this.onScroll = () => this.scheduleUpdate();
+        this.scrollContainer.addEventListener('scroll', this.onScroll, { passive: true });
+        window.addEventListener('resize', this.onScroll);
+    }
+
+    // Forget measured heights, e.g. when switching to a different feed
+    reset() {
+        this.items = [];
+        this.heights.clear();
+    }
+
+    setItems(items) {
+        this.items = items;
+        this.start = 0;
+        this.end = 0;
+
+        // Loading and error states replace the container's content
+        if (!this.inner || !this.container.contains(this.inner)) {
+            this.container.innerHTML = '<div class="virtual-list"></div>';
+            this.inner = this.container.firstElementChild;
+        }
+
+        this.update(true);
+    }
+
+    getHeight(index) {
+        const item = this.items[index];
+        const measured = this.heights.get(this.getKey(item));
+        return measured === undefined ? this.estimateHeight(item) : measured;
+    }
+
+    getOffset(index) {
+        let offset = 0;
+        for (let i = 0; i < index; i++) {
+            offset += this.getHeight(i);
+        }
+        return offset;
+    }
+
+    scheduleUpdate() {
+        if (this.frame) return;
+
+        this.frame = requestAnimationFrame(() => {
+            this.frame = null;
+            this.update(false);
+        });
+    }
+
+    update(force) {
+        if (!this.inner || !this.container.contains(this.inner) || (this.items.length === 0 && !force)) {
+            return;
+        }
+
+        const listTop = this.inner.getBoundingClientRect().top
+            - this.scrollContainer.getBoundingClientRect().top
+            + this.scrollContainer.scrollTop;
+        const viewTop = this.scrollContainer.scrollTop - listTop - VIRTUAL_LIST_OVERSCAN;
+        const viewBottom = this.scrollContainer.scrollTop + this.scrollContainer.clientHeight - listTop + VIRTUAL_LIST_OVERSCAN;
+
+        let start = 0;
+        let offset = 0;
+        while (start < this.items.length && offset + this.getHeight(start) < viewTop) {
+            offset += this.getHeight(start);
+            start++;
+        }
+
+        let end = start;
+        let bottom = offset;
+        while (end < this.items.length && bottom < viewBottom) {
+            bottom += this.getHeight(end);
+            end++;
+        }
+
+        if (!force && start === this.start && end === this.end) return;
+
+        this.start = start;
+        this.end = end;
+        this.render(offset);
+    }
+
+    render(offset) {
+        this.inner.innerHTML = this.items
+            .slice(this.start, this.end)
+            .map((item, i) => this.renderItem(item, this.start + i))
+            .join('');
+
+        Array.from(this.inner.children).forEach((element, i) => {
+            this.heights.set(this.getKey(this.items[this.start + i]), element.offsetHeight);
+        });
+
+        const total = this.getOffset(this.items.length);
+        const rendered = this.getOffset(this.end) - this.getOffset(this.start);
+        this.inner.style.paddingTop = `${offset}px`;
+        this.inner.style.paddingBottom = `${Math.max(0, total - offset - rendered)}px`;
+    }
+}
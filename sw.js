@@ -1,4 +1,5 @@
-const CACHE_NAME = 'podcatcher-v1.0.0';
+const CACHE_NAME = 'podcatcher-v1.25.14';
+const EPISODE_CACHE_NAME = 'podcatcher-episodes';
 const urlsToCache = [
     './',
     './index.html',
@@ -7,8 +8,30 @@ const urlsToCache = [
     './css/responsive.css',
     './js/app.js',
     './js/api.js',
+    './js/feed-parser.js',
+    './js/db.js',
+    './js/cache-store.js',
+    './js/episode-state.js',
+    './js/subscriptions.js',
+    './js/feed-refresh.js',
+    './js/queue.js',
+    './js/listening-history.js',
+    './js/downloads.js',
+    './js/opml.js',
+    './js/search-history.js',
+    './js/router.js',
+    './js/backup.js',
+    './js/episode-filters.js',
+    './js/show-notes.js',
+    './js/virtual-list.js',
+    './js/chapters.js',
+    './js/transcripts.js',
+    './js/audio-effects.js',
+    './js/sleep-timer.js',
+    './js/shortcuts.js',
     './js/player.js',
     './js/utils.js',
+    './js/settings.js',
     './icon.svg'
 ];
 
@@ -22,7 +45,63 @@ self.addEventListener('install', (event) => {
     );
 });
 
+function createRangeResponse(response, rangeHeader) {
+    return response.blob().then((blob) => {
+        const size = blob.size;
+        const match = /^bytes=(\d*)-(\d*)$/.exec(rangeHeader.trim());
+        let start;
+        let end;
+
+        if (match && match[1] === '' && match[2] !== '') {
+            start = Math.max(0, size - parseInt(match[2], 10));
+            end = size - 1;
+        } else if (match && match[1] !== '') {
+            start = parseInt(match[1], 10);
+            end = match[2] !== '' ? Math.min(parseInt(match[2], 10), size - 1) : size - 1;
+        }
+
+        if (start === undefined || start >= size || start > end) {
+            return new Response(null, {
+                status: 416,
+                statusText: 'Range Not Satisfiable',
+                headers: { 'Content-Range': `bytes */${size}` }
+            });
+        }
+
+        return new Response(blob.slice(start, end + 1), {
+            status: 206,
+            statusText: 'Partial Content',
+            headers: {
+                'Content-Type': response.headers.get('Content-Type') || 'audio/mpeg',
+                'Content-Range': `bytes ${start}-${end}/${size}`,
+                'Content-Length': String(end - start + 1),
+                'Accept-Ranges': 'bytes'
+            }
+        });
+    });
+}
+
+function respondWithEpisode(request) {
+    return caches.open(EPISODE_CACHE_NAME)
+        .then((cache) => cache.match(request.url))
+        .then((cached) => {
+            if (!cached) {
+                return fetch(request);
+            }
+
+            const range = request.headers.get('Range');
+            return range ? createRangeResponse(cached, range) : cached;
+        });
+}
+
 self.addEventListener('fetch', (event) => {
+    // Downloaded episodes are served from their own cache so that media
+    // elements can seek offline with Range requests.
+    if (event.request.destination === 'audio' || event.request.headers.has('Range')) {
+        event.respondWith(respondWithEpisode(event.request));
+        return;
+    }
+
     event.respondWith(
         caches.match(event.request)
             .then((response) => {
@@ -57,7 +136,7 @@ self.addEventListener('fetch', (event) => {
 });
 
 self.addEventListener('activate', (event) => {
-    const cacheWhitelist = [CACHE_NAME];
+    const cacheWhitelist = [CACHE_NAME, EPISODE_CACHE_NAME];
 
     event.waitUntil(
         caches.keys().then((cacheNames) => {
@@ -0,0 +1,184 @@
+#!/usr/bin/env node
+// Minimal CORS proxy for testing Podcatcher's feed fetch fallback.
+//
+//   node tools/cors-proxy.js [port]
+//
+// Then set the proxy in Settings to: http://localhost:8787/?url={url}
+//
+// Only GET/HEAD to public http(s) targets are forwarded: hosts that resolve
+// to loopback, private or link-local addresses are refused, redirects
+// included. By default it listens on 127.0.0.1 and only answers the app
+// served from http://localhost:8000; set HOST and ALLOWED_ORIGIN (e.g.
+// https://podcasts.example.com) to run it anywhere else.
+
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+
+const PORT = parseInt(process.argv[2] || process.env.PORT || '8787', 10);
+const HOST = process.env.HOST || '127.0.0.1';
+const ALLOWED_ORIGIN = process.env.ALLOWED_ORIGIN || 'http://localhost:8000';
+const MAX_REDIRECTS = 5;
+const FORWARDED_REQUEST_HEADERS = ['accept', 'if-none-match', 'if-modified-since', 'range', 'user-agent'];
+const FORWARDED_RESPONSE_HEADERS = ['content-type', 'etag', 'last-modified', 'cache-control', 'content-range', 'accept-ranges'];
+
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+    ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv4'));
+[
+    ['::', 127], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv6'));
+
+function isBlockedAddress(address) {
+    return BLOCKED_ADDRESSES.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+}
+
+// Checks the addresses a connection is actually made to, so a host can't
+// pass a separate check and then resolve somewhere else
+function publicOnlyLookup(hostname, options, callback) {
+    dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+        if (error) {
+            callback(error);
+            return;
+        }
+
+        if (addresses.some(entry => isBlockedAddress(entry.address))) {
+            callback(new Error(`${hostname} resolves to a private address`));
+        } else if (options.all) {
+            callback(null, addresses);
+        } else {
+            callback(null, addresses[0].address, addresses[0].family);
+        }
+    });
+}
+
+function setCorsHeaders(res) {
+    res.setHeader('Access-Control-Allow-Origin', ALLOWED_ORIGIN);
+    res.setHeader('Vary', 'Origin');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, HEAD, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'If-None-Match, If-Modified-Since, Range');
+    res.setHeader('Access-Control-Expose-Headers', 'ETag, Last-Modified, Content-Length, Content-Range');
+    res.setHeader('Access-Control-Max-Age', '86400');
+}
+
+function sendError(res, status, message) {
+    res.writeHead(status, { 'Content-Type': 'text/plain; charset=utf-8' });
+    res.end(message);
+}
+
+function getTargetUrl(req) {
+    const requestUrl = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+    const target = requestUrl.searchParams.get('url');
+    if (!target) return null;
+
+    try {
+        const parsed = new URL(target);
+        return parsed.protocol === 'http:' || parsed.protocol === 'https:' ? parsed : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+// Follows redirects itself so every hop gets the same address checks
+function requestUpstream(target, method, headers, redirects = 0) {
+    const hostname = target.hostname.replace(/^\[|\]$/g, '');
+    if (net.isIP(hostname) && isBlockedAddress(hostname)) {
+        return Promise.reject(new Error(`${hostname} is a private address`));
+    }
+
+    const client = target.protocol === 'https:' ? https : http;
+    return new Promise((resolve, reject) => {
+        const request = client.request(target, { method, headers, lookup: publicOnlyLookup }, upstream => {
+            const location = upstream.headers.location;
+            if (upstream.statusCode >= 300 && upstream.statusCode < 400 && location) {
+                upstream.resume();
+
+                if (redirects >= MAX_REDIRECTS) {
+                    reject(new Error('Too many redirects'));
+                    return;
+                }
+
+                const next = new URL(location, target);
+                if (next.protocol !== 'http:' && next.protocol !== 'https:') {
+                    reject(new Error(`Refusing to follow a redirect to ${next.protocol}`));
+                    return;
+                }
+                resolve(requestUpstream(next, method, headers, redirects + 1));
+                return;
+            }
+
+            resolve(upstream);
+        });
+
+        request.on('error', reject);
+        request.end();
+    });
+}
+
+const server = http.createServer(async (req, res) => {
+    setCorsHeaders(res);
+
+    // Browsers always send Origin on cross-origin requests, so other sites
+    // can't use the proxy even for requests whose response they never read
+    if (req.headers.origin && req.headers.origin !== ALLOWED_ORIGIN) {
+        sendError(res, 403, 'Origin not allowed');
+        return;
+    }
+
+    if (req.method === 'OPTIONS') {
+        res.writeHead(204);
+        res.end();
+        return;
+    }
+
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+        sendError(res, 405, 'Method not allowed');
+        return;
+    }
+
+    const target = getTargetUrl(req);
+    if (!target) {
+        sendError(res, 400, 'Usage: /?url=<http(s) URL>');
+        return;
+    }
+
+    const headers = {};
+    FORWARDED_REQUEST_HEADERS.forEach(name => {
+        if (req.headers[name]) {
+            headers[name] = req.headers[name];
+        }
+    });
+
+    try {
+        const upstream = await requestUpstream(target, req.method, headers);
+
+        FORWARDED_RESPONSE_HEADERS.forEach(name => {
+            const value = upstream.headers[name];
+            if (value) {
+                res.setHeader(name, value);
+            }
+        });
+        res.writeHead(upstream.statusCode);
+
+        for await (const chunk of upstream) {
+            res.write(chunk);
+        }
+        res.end();
+
+        console.log(`${upstream.statusCode} ${req.method} ${target.href}`);
+    } catch (error) {
+        console.error(`Proxy error for ${target.href}:`, error.message);
+        if (!res.headersSent) {
+            sendError(res, 502, `Upstream request failed: ${error.message}`);
+        } else {
+            res.end();
+        }
+    }
+});
+
+server.listen(PORT, HOST, () => {
+    console.log(`CORS proxy listening on http://${HOST}:${PORT}/?url={url} for ${ALLOWED_ORIGIN}`);
+});